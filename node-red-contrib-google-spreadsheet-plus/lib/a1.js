@@ -0,0 +1,500 @@
+/**
+ * A1 and R1C1 notation utilities for Google Sheets ranges
+ * Parses ranges into sheet, row and column parts, builds addresses and does range arithmetic.
+ * Parsed ranges use 1-based rows and columns, start before end; null bounds are open ended.
+ */
+
+// Cell reference: A1, A1:B2, A:B, 1:2, A2:D (open ended); columns go up to ZZZ
+const CELLS_PATTERN = /^([A-Za-z]{0,3})([1-9][0-9]*)?(?::([A-Za-z]{0,3})([1-9][0-9]*)?)?$/;
+
+// Stricter form used when there is no sheet separator, so "Sheet1" stays a sheet name; any case, like the API
+const BARE_CELLS_PATTERN = /^([A-Z]{1,3}[0-9]*:[A-Z]{1,3}[0-9]*|[A-Z]{1,3}[0-9]+|[0-9]+:[0-9]+)$/i;
+
+// Absolute R1C1 reference: R1C1, R1C1:R2C3, R2:R5 (rows), C1:C3 (columns)
+const R1C1_PATTERN = /^(?:R([1-9][0-9]*))?(?:C([1-9][0-9]*))?(?::(?:R([1-9][0-9]*))?(?:C([1-9][0-9]*))?)?$/i;
+
+// Header name used in place of column letters: Sheet1!{Email}, Sheet1!{Name}2:{Email}
+const HEADER_REF_PATTERN = /\{([^{}]+)\}/g;
+
+// Word that is either a sheet name or a named range: letters, digits and underscores, not starting with a digit
+const NAME_PATTERN = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+
+/**
+ * Convert a 1-based column number to column letters
+ * @param {number} column - Column number (1 = A)
+ * @returns {string} Column letters (e.g., 'A', 'Z', 'AA')
+ */
+function columnToLetter(column) {
+    if (!Number.isInteger(column) || column < 1) {
+        throw new Error('Column must be a positive integer');
+    }
+
+    let letters = '';
+    let n = column;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Convert column letters to a 1-based column number
+ * @param {string} letters - Column letters (case-insensitive)
+ * @returns {number} Column number (A = 1)
+ */
+function letterToColumn(letters) {
+    if (typeof letters !== 'string' || !/^[A-Za-z]+$/.test(letters)) {
+        throw new Error('Invalid column letters: ' + letters);
+    }
+
+    let column = 0;
+    for (const char of letters.toUpperCase()) {
+        column = column * 26 + (char.charCodeAt(0) - 64);
+    }
+    return column;
+}
+
+/**
+ * Quote a sheet name for use in A1 notation when required
+ * Names with special characters, or that read as a cell reference (e.g. "A1", "R1C1"), are quoted
+ * @param {string} sheet - Sheet name
+ * @returns {string} Sheet name, quoted and escaped if needed
+ */
+function quoteSheetName(sheet) {
+    if (/^[A-Za-z0-9_]+$/.test(sheet) && !/^[A-Za-z]{1,3}[0-9]+$/.test(sheet) && !/^R[0-9]*C[0-9]*$/i.test(sheet)) {
+        return sheet;
+    }
+    return `'${sheet.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Split a range into its sheet name and cell reference
+ * @param {string} range - Range such as "Sheet1!A1:B2", "'My Sheet'!A1" or "Sheet1"
+ * @returns {{sheet: string|null, cells: string}} Unquoted sheet name and cell reference
+ */
+function splitSheet(range) {
+    if (range.startsWith("'")) {
+        // Quoted sheet name: '' is an escaped quote
+        let i = 1;
+        let sheet = '';
+        while (i < range.length) {
+            if (range[i] === "'") {
+                if (range[i + 1] === "'") {
+                    sheet += "'";
+                    i += 2;
+                    continue;
+                }
+                break;
+            }
+            sheet += range[i];
+            i++;
+        }
+        const rest = range.slice(i + 1);
+        return { sheet, cells: rest.startsWith('!') ? rest.slice(1) : rest };
+    }
+
+    const bang = range.lastIndexOf('!');
+    if (bang > -1) {
+        return { sheet: range.slice(0, bang), cells: range.slice(bang + 1) };
+    }
+
+    // No separator: either a bare cell reference or a sheet name
+    if (BARE_CELLS_PATTERN.test(range)) {
+        return { sheet: null, cells: range };
+    }
+    return { sheet: range, cells: '' };
+}
+
+/**
+ * Parse an A1 range into its components
+ * Rows and columns are 1-based; missing bounds are null (open ended)
+ * @param {string} range - A1 notation range
+ * @returns {{sheet: string|null, startRow: number|null, startCol: number|null, endRow: number|null, endCol: number|null}}
+ */
+function parseRange(range) {
+    if (typeof range !== 'string' || range.trim() === '') {
+        throw new Error('Range must be a non-empty string');
+    }
+
+    const { sheet, cells } = splitSheet(range.trim());
+    const result = { sheet, startRow: null, startCol: null, endRow: null, endCol: null };
+
+    if (!cells) {
+        return result;
+    }
+
+    const match = CELLS_PATTERN.exec(cells);
+    if (!match || (!match[1] && !match[2]) || (match[3] !== undefined && !match[3] && !match[4])) {
+        throw new Error('Invalid range: ' + range);
+    }
+
+    result.startCol = match[1] ? letterToColumn(match[1]) : null;
+    result.startRow = match[2] ? parseInt(match[2], 10) : null;
+
+    if (match[3] !== undefined) {
+        result.endCol = match[3] ? letterToColumn(match[3]) : null;
+        result.endRow = match[4] ? parseInt(match[4], 10) : null;
+    } else {
+        // Single cell
+        result.endCol = result.startCol;
+        result.endRow = result.startRow;
+    }
+
+    // Reversed bounds (D5:A1) cover the same cells as A1:D5
+    if (result.startRow !== null && result.endRow !== null && result.startRow > result.endRow) {
+        [result.startRow, result.endRow] = [result.endRow, result.startRow];
+    }
+    if (result.startCol !== null && result.endCol !== null && result.startCol > result.endCol) {
+        [result.startCol, result.endCol] = [result.endCol, result.startCol];
+    }
+
+    return result;
+}
+
+/**
+ * Parse an absolute R1C1 range into the same components as parseRange
+ * A single row (R2) or column (C3) covers the whole row or column
+ * @param {string} range - R1C1 notation range (e.g. "Sheet1!R2C1:R10C4")
+ * @returns {{sheet: string|null, startRow: number|null, startCol: number|null, endRow: number|null, endCol: number|null}}
+ */
+function parseR1C1(range) {
+    if (typeof range !== 'string' || range.trim() === '') {
+        throw new Error('Range must be a non-empty string');
+    }
+
+    const trimmed = range.trim();
+    // Without a separator an R1C1 reference would otherwise be read as a sheet name
+    const { sheet, cells } = trimmed.includes('!') || trimmed.startsWith("'") || !R1C1_PATTERN.test(trimmed)
+        ? splitSheet(trimmed)
+        : { sheet: null, cells: trimmed };
+    const result = { sheet, startRow: null, startCol: null, endRow: null, endCol: null };
+
+    if (!cells) {
+        return result;
+    }
+
+    const match = R1C1_PATTERN.exec(cells);
+    if (!match || (!match[1] && !match[2]) || (cells.includes(':') && !match[3] && !match[4])) {
+        throw new Error('Invalid R1C1 range: ' + range);
+    }
+
+    const number = (value) => value ? parseInt(value, 10) : null;
+    result.startRow = number(match[1]);
+    result.startCol = number(match[2]);
+
+    if (cells.includes(':')) {
+        result.endRow = number(match[3]);
+        result.endCol = number(match[4]);
+    } else {
+        result.endRow = result.startRow;
+        result.endCol = result.startCol;
+    }
+
+    return result;
+}
+
+/**
+ * Build an A1 range from its components
+ * @param {Object} parsed - Parsed range (see parseRange); null bounds are left open
+ * @returns {string} A1 range (e.g. "'My Sheet'!A2:D")
+ */
+function toA1(parsed) {
+    const point = (row, col) => (col ? columnToLetter(col) : '') + (row ? row : '');
+    return withSheet(parsed.sheet, cellsOf(parsed, point));
+}
+
+/**
+ * Build an absolute R1C1 range from its components
+ * @param {Object} parsed - Parsed range (see parseRange); null bounds are left open
+ * @returns {string} R1C1 range (e.g. "Sheet1!R2C1:R10C4")
+ */
+function toR1C1(parsed) {
+    const point = (row, col) => (row ? 'R' + row : '') + (col ? 'C' + col : '');
+    return withSheet(parsed.sheet, cellsOf(parsed, point));
+}
+
+/**
+ * Rewrite a range in canonical A1 form: minimal quoting and upper-case columns
+ * @param {string} range - A1 range
+ * @returns {string} Normalized range
+ */
+function normalizeRange(range) {
+    return toA1(parseRange(range));
+}
+
+/**
+ * Format the cell part of a parsed range with the given point notation
+ * @private
+ */
+function cellsOf(parsed, point) {
+    const start = point(parsed.startRow, parsed.startCol);
+    const end = point(parsed.endRow, parsed.endCol);
+    if (!start && !end) return '';
+    const single = parsed.startRow && parsed.startCol && parsed.startRow === parsed.endRow && parsed.startCol === parsed.endCol;
+    return single ? start : `${start}:${end}`;
+}
+
+/**
+ * Prefix cells with a quoted sheet name when there is one
+ * @private
+ */
+function withSheet(sheet, cells) {
+    if (!sheet) return cells;
+    return cells ? `${quoteSheetName(sheet)}!${cells}` : quoteSheetName(sheet);
+}
+
+/**
+ * Check whether a range addresses columns by header name
+ * @param {string} range - Range to check
+ * @returns {boolean} True if the range contains a {Header} reference
+ */
+function hasHeaderRefs(range) {
+    return typeof range === 'string' && new RegExp(HEADER_REF_PATTERN.source).test(range);
+}
+
+/**
+ * List the header names a range refers to, with the sheet whose header row holds them
+ * @param {string} range - Range with {Header} references (e.g. "Sheet1!{Name}:{Email}")
+ * @returns {{sheet: string|null, names: Array<string>}}
+ */
+function headerRefs(range) {
+    const { sheet, names } = maskHeaderRefs(range);
+    return { sheet, names };
+}
+
+/**
+ * Replace {Header} references in a range with column letters
+ * A range that is a single reference without a row covers the whole column ("Sheet1!{Email}" becomes "Sheet1!C:C")
+ * @param {string} range - Range with {Header} references
+ * @param {function(string): number|undefined} lookup - Returns the 1-based column of a header name
+ * @returns {string} A1 range
+ */
+function resolveHeaderRefs(range, lookup) {
+    const { sheet, cells, names } = maskHeaderRefs(range);
+    const letters = names.map(name => {
+        const column = lookup(name);
+        if (!column) {
+            throw new Error(`Column "${name}" not found in header row`);
+        }
+        return columnToLetter(column);
+    });
+
+    const single = /^\{(\d+)\}$/.exec(cells);
+    const resolved = single
+        ? `${letters[single[1]]}:${letters[single[1]]}`
+        : cells.replace(/\{(\d+)\}/g, (match, index) => letters[index]);
+    return sheet === null ? resolved : `${quoteSheetName(sheet)}!${resolved}`;
+}
+
+/**
+ * Swap header references for numbered placeholders so header names cannot confuse the sheet split
+ * @private
+ */
+function maskHeaderRefs(range) {
+    const names = [];
+    const masked = range.trim().replace(HEADER_REF_PATTERN, (match, name) => `{${names.push(name.trim()) - 1}}`);
+    const { sheet, cells } = masked.includes('!') ? splitSheet(masked) : { sheet: null, cells: masked };
+    return { sheet, cells, names };
+}
+
+/**
+ * Build the A1 address of a single cell
+ * @param {string|null} sheet - Sheet name (unquoted), or null for the default sheet
+ * @param {number} row - 1-based row number
+ * @param {number} column - 1-based column number
+ * @returns {string} Cell address (e.g., "Sheet1!C4")
+ */
+function formatCell(sheet, row, column) {
+    const cell = columnToLetter(column) + row;
+    return sheet ? `${quoteSheetName(sheet)}!${cell}` : cell;
+}
+
+/**
+ * Build the A1 address of a rectangular range
+ * @param {string|null} sheet - Sheet name (unquoted), or null for the default sheet
+ * @param {number} startRow - 1-based first row
+ * @param {number} startCol - 1-based first column
+ * @param {number} endRow - 1-based last row
+ * @param {number} endCol - 1-based last column
+ * @returns {string} Range address (e.g., "Sheet1!A2:D2")
+ */
+function formatRange(sheet, startRow, startCol, endRow, endCol) {
+    const cells = `${columnToLetter(startCol)}${startRow}:${columnToLetter(endCol)}${endRow}`;
+    return sheet ? `${quoteSheetName(sheet)}!${cells}` : cells;
+}
+
+/**
+ * Resize a range to the given number of rows and columns from its top left cell
+ * Useful to turn a start cell such as "Sheet1!B2" into the range a 2D array will fill
+ * @param {string|Object} range - A1 range or parsed range
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @returns {string} A1 range
+ */
+function expandRange(range, rows, columns) {
+    if (!Number.isInteger(rows) || rows < 1 || !Number.isInteger(columns) || columns < 1) {
+        throw new Error('Rows and columns must be positive integers');
+    }
+    const parsed = typeof range === 'string' ? parseRange(range) : range;
+    const startRow = parsed.startRow || 1;
+    const startCol = parsed.startCol || 1;
+    return toA1({ sheet: parsed.sheet, startRow, startCol, endRow: startRow + rows - 1, endCol: startCol + columns - 1 });
+}
+
+/**
+ * Get the cells two ranges have in common
+ * A range without a sheet name is assumed to be on the other range's sheet
+ * @param {string|Object} a - A1 range or parsed range
+ * @param {string|Object} b - A1 range or parsed range
+ * @returns {string|null} A1 range of the overlap, or null if the ranges do not overlap
+ */
+function intersectRanges(a, b) {
+    const r1 = typeof a === 'string' ? parseRange(a) : a;
+    const r2 = typeof b === 'string' ? parseRange(b) : b;
+
+    if (!rangesOverlap(r1, r2)) {
+        return null;
+    }
+
+    // Open bounds stay open only when both ranges leave them open
+    const start = (s1, s2) => (s1 || s2) ? Math.max(s1 || 1, s2 || 1) : null;
+    const end = (e1, e2) => (e1 && e2) ? Math.min(e1, e2) : (e1 || e2 || null);
+
+    return toA1({
+        sheet: r1.sheet || r2.sheet,
+        startRow: start(r1.startRow, r2.startRow),
+        startCol: start(r1.startCol, r2.startCol),
+        endRow: end(r1.endRow, r2.endRow),
+        endCol: end(r1.endCol, r2.endCol)
+    });
+}
+
+/**
+ * Move a range by a number of rows and columns; open bounds stay open
+ * @param {string|Object} range - A1 range or parsed range
+ * @param {number} rows - Rows to move down (negative moves up)
+ * @param {number} columns - Columns to move right (negative moves left)
+ * @returns {string} A1 range
+ */
+function offsetRange(range, rows, columns) {
+    const parsed = typeof range === 'string' ? parseRange(range) : range;
+    const move = (value, by) => {
+        if (value === null) return null;
+        if (value + by < 1) {
+            throw new Error(`Offset moves range ${toA1(parsed)} outside the sheet`);
+        }
+        return value + by;
+    };
+
+    return toA1({
+        sheet: parsed.sheet,
+        startRow: move(parsed.startRow, rows),
+        startCol: move(parsed.startCol, columns),
+        endRow: move(parsed.endRow, rows),
+        endCol: move(parsed.endCol, columns)
+    });
+}
+
+/**
+ * Check whether two 1-based spans overlap; null bounds are open ended
+ * @private
+ */
+function spansOverlap(start1, end1, start2, end2) {
+    const s1 = start1 || 1;
+    const e1 = end1 || Infinity;
+    const s2 = start2 || 1;
+    const e2 = end2 || Infinity;
+    return s1 <= e2 && s2 <= e1;
+}
+
+/**
+ * Check whether a range is a single word that names a whole sheet or a named range
+ * Only the spreadsheet can tell which; cell references such as "A1" are not names
+ * @param {string} range - Range as given
+ * @returns {boolean} True for a sheet name or named range like "Totals"
+ */
+function isBareName(range) {
+    return typeof range === 'string' && NAME_PATTERN.test(range) && parseRange(range).sheet === range;
+}
+
+/**
+ * Convert an API GridRange to A1
+ * Indexes are 0-based with exclusive ends. The API leaves out zero values, so a missing start with an end
+ * present is the first row or column, and a missing end leaves the range open.
+ * @param {Object} gridRange - {startRowIndex, endRowIndex, startColumnIndex, endColumnIndex}
+ * @param {string} [sheet] - Title of the range's sheet
+ * @returns {string} A1 range (e.g. "Sheet1!A1:D10")
+ */
+function fromGridRange(gridRange, sheet) {
+    const start = (index, end) => (index !== undefined && index !== null ? index + 1 : (end !== undefined && end !== null ? 1 : null));
+    const end = (index) => (index !== undefined && index !== null ? index : null);
+    return toA1({
+        sheet: sheet || null,
+        startRow: start(gridRange.startRowIndex, gridRange.endRowIndex),
+        startCol: start(gridRange.startColumnIndex, gridRange.endColumnIndex),
+        endRow: end(gridRange.endRowIndex),
+        endCol: end(gridRange.endColumnIndex)
+    });
+}
+
+/**
+ * Convert an A1 range to an API GridRange
+ * Open bounds are left out, which the API reads as the start or end of the sheet
+ * @param {string|Object} range - A1 range, or its parsed components
+ * @param {number} sheetId - ID of the range's sheet
+ * @returns {Object} {sheetId, startRowIndex, endRowIndex, startColumnIndex, endColumnIndex}
+ */
+function toGridRange(range, sheetId) {
+    const { startRow, startCol, endRow, endCol } = typeof range === 'string' ? parseRange(range) : range;
+    const gridRange = { sheetId };
+    if (startRow) gridRange.startRowIndex = startRow - 1;
+    if (endRow) gridRange.endRowIndex = endRow;
+    if (startCol) gridRange.startColumnIndex = startCol - 1;
+    if (endCol) gridRange.endColumnIndex = endCol;
+    return gridRange;
+}
+
+/**
+ * Check whether two ranges share at least one cell
+ * A range without a sheet name is assumed to be on any sheet
+ * @param {string|Object} a - A1 range or parsed range
+ * @param {string|Object} b - A1 range or parsed range
+ * @returns {boolean} True if the ranges overlap
+ */
+function rangesOverlap(a, b) {
+    const r1 = typeof a === 'string' ? parseRange(a) : a;
+    const r2 = typeof b === 'string' ? parseRange(b) : b;
+
+    if (r1.sheet && r2.sheet && r1.sheet.toLowerCase() !== r2.sheet.toLowerCase()) {
+        return false;
+    }
+
+    return spansOverlap(r1.startRow, r1.endRow, r2.startRow, r2.endRow) &&
+        spansOverlap(r1.startCol, r1.endCol, r2.startCol, r2.endCol);
+}
+
+module.exports = {
+    columnToLetter,
+    letterToColumn,
+    quoteSheetName,
+    splitSheet,
+    parseRange,
+    parseR1C1,
+    toA1,
+    toR1C1,
+    normalizeRange,
+    hasHeaderRefs,
+    headerRefs,
+    resolveHeaderRefs,
+    isBareName,
+    fromGridRange,
+    toGridRange,
+    formatCell,
+    formatRange,
+    expandRange,
+    intersectRanges,
+    offsetRange,
+    rangesOverlap
+};
@@ -1,10 +1,30 @@
+const a1 = require('../a1');
+
+// Property of the storage object holding per-key cache metadata
+const META_KEY = '_meta';
+
 /**
  * Service class for caching spreadsheet data
  * Manages cache storage and retrieval using context objects
+ * Supports time-based expiry and LRU eviction by entry count or size
  */
 class CacheService {
+    /**
+     * Create a cache service
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.ttl=0] - Time to live in milliseconds (0 = never expires)
+     * @param {number} [options.maxEntries=0] - Maximum cached ranges per storage (0 = unlimited)
+     * @param {number} [options.maxBytes=0] - Maximum cached size in bytes per storage (0 = unlimited)
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl || 0;
+        this.maxEntries = options.maxEntries || 0;
+        this.maxBytes = options.maxBytes || 0;
+    }
+
     /**
      * Get cached data from storage
+     * Expired entries are removed and reported as missing
      * @param {Object} storage - Cache storage object (saveLoc)
      * @param {string} key - Cache key (saveField)
      * @returns {*} Cached data or undefined if not found
@@ -12,34 +32,44 @@ class CacheService {
     get(storage, key) {
         if (!storage) throw new Error('Storage is required');
         if (!key) throw new Error('Key is required');
-        
+
+        if (this.isExpired(storage, key)) {
+            this.invalidate(storage, key);
+            return undefined;
+        }
+
         const keys = key.split('.');
         let current = storage;
-        
+
         for (const k of keys) {
             if (current === null || current === undefined) {
                 return undefined;
             }
             current = current[k];
         }
-        
+
         return current;
     }
-    
+
     /**
      * Set data in cache storage
+     * Records fetch metadata and evicts least recently used entries when over limits
      * @param {Object} storage - Cache storage object (saveLoc)
      * @param {string} key - Cache key (saveField)
      * @param {*} value - Value to cache
+     * @param {Object} [details] - Extra metadata to keep with the entry
+     * @param {string} [details.range] - A1 range the values were read from
+     * @param {string} [details.majorDimension] - ROWS or COLUMNS
+     * @param {string} [details.spreadsheetId] - Spreadsheet the values were read from
      */
-    set(storage, key, value) {
+    set(storage, key, value, details = {}) {
         if (!storage) throw new Error('Storage is required');
         if (!key) throw new Error('Key is required');
-        
+
         const keys = key.split('.');
         const lastKey = keys.pop();
         let current = storage;
-        
+
         // Create intermediate objects
         for (const k of keys) {
             if (current[k] === null || typeof current[k] !== 'object') {
@@ -47,15 +77,18 @@ class CacheService {
             }
             current = current[k];
         }
-        
+
         // Set or delete the value
         if (value === undefined) {
             delete current[lastKey];
+            this._deleteMetadata(storage, key);
         } else {
             current[lastKey] = value;
+            this._writeMetadata(storage, key, value, details);
+            this._evict(storage);
         }
     }
-    
+
     /**
      * Invalidate (delete) cached data
      * @param {Object} storage - Cache storage object (saveLoc)
@@ -64,7 +97,7 @@ class CacheService {
     invalidate(storage, key) {
         this.set(storage, key, undefined);
     }
-    
+
     /**
      * Check if data is cached
      * @param {Object} storage - Cache storage object (saveLoc)
@@ -75,6 +108,258 @@ class CacheService {
         const value = this.get(storage, key);
         return value !== undefined && (Array.isArray(value) ? value.length > 0 : true);
     }
+
+    /**
+     * Check if a cached entry is older than the configured TTL
+     * Entries without metadata (set outside this service) never expire
+     * @param {Object} storage - Cache storage object (saveLoc)
+     * @param {string} key - Cache key (saveField)
+     * @returns {boolean} True if the entry has expired
+     */
+    isExpired(storage, key) {
+        const meta = storage[META_KEY] && storage[META_KEY][key];
+        if (!this.ttl || !meta) return false;
+        return Date.now() - meta.fetchedAt >= this.ttl;
+    }
+
+    /**
+     * Record a cache hit for an entry
+     * @param {Object} storage - Cache storage object (saveLoc)
+     * @param {string} key - Cache key (saveField)
+     * @returns {Object|undefined} Updated metadata or undefined if the entry is untracked
+     */
+    recordHit(storage, key) {
+        const meta = storage[META_KEY] && storage[META_KEY][key];
+        if (!meta) return undefined;
+
+        meta.hits++;
+        meta.lastAccess = Date.now();
+        return this.getMetadata(storage, key);
+    }
+
+    /**
+     * Invalidate every cached entry whose range overlaps the given range
+     * @param {Object} storage - Cache storage object (saveLoc)
+     * @param {string} range - A1 range that was written or cleared
+     * @param {string} [spreadsheetId] - Only match entries read from this spreadsheet
+     * @returns {Array<string>} Invalidated cache keys
+     */
+    invalidateRange(storage, range, spreadsheetId) {
+        const keys = this._findOverlapping(storage, range, spreadsheetId);
+        for (const key of keys) {
+            this.invalidate(storage, key);
+        }
+        return keys;
+    }
+
+    /**
+     * Write values into every cached entry whose range overlaps the given range
+     * Entries that cannot be patched (column-major or unparsable ranges) are invalidated
+     * @param {Object} storage - Cache storage object (saveLoc)
+     * @param {string} range - A1 range that was written (top-left cell is the origin of values)
+     * @param {Array<Array>} values - 2D array of written values
+     * @param {string} [spreadsheetId] - Only match entries read from this spreadsheet
+     * @returns {Array<string>} Patched cache keys
+     */
+    patchRange(storage, range, values, spreadsheetId) {
+        const patched = [];
+        if (!storage[META_KEY]) return patched;
+
+        let target;
+        try {
+            target = a1.parseRange(range);
+        } catch (err) {
+            this.invalidateRange(storage, range, spreadsheetId);
+            return patched;
+        }
+
+        for (const key of this._findOverlapping(storage, range, spreadsheetId)) {
+            const meta = storage[META_KEY][key];
+            const cached = this.get(storage, key);
+            let origin;
+            try {
+                origin = a1.parseRange(meta.range);
+            } catch (err) {
+                origin = null;
+            }
+
+            if (!origin || meta.majorDimension === 'COLUMNS' || !Array.isArray(cached)) {
+                this.invalidate(storage, key);
+                continue;
+            }
+
+            this._patchValues(cached, origin, target, values);
+            meta.bytes = CacheService.estimateSize(cached);
+            patched.push(key);
+        }
+
+        this._evict(storage);
+        return patched;
+    }
+
+    /**
+     * Get metadata for a cached entry
+     * @param {Object} storage - Cache storage object (saveLoc)
+     * @param {string} key - Cache key (saveField)
+     * @returns {{fetchedAt: number, hits: number, age: number, expiresAt: number|null, bytes: number}|undefined} Metadata copy
+     */
+    getMetadata(storage, key) {
+        const meta = storage[META_KEY] && storage[META_KEY][key];
+        if (!meta) return undefined;
+
+        return {
+            fetchedAt: meta.fetchedAt,
+            hits: meta.hits,
+            age: Date.now() - meta.fetchedAt,
+            expiresAt: this.ttl ? meta.fetchedAt + this.ttl : null,
+            bytes: meta.bytes,
+            range: meta.range
+        };
+    }
+
+    /**
+     * Find cached entries whose recorded range overlaps the given range
+     * Entries with unparsable ranges are treated as overlapping
+     * @param {Object} storage - Cache storage object
+     * @param {string} range - A1 range
+     * @param {string} [spreadsheetId] - Skip entries recorded for another spreadsheet
+     * @returns {Array<string>} Matching cache keys
+     * @private
+     */
+    _findOverlapping(storage, range, spreadsheetId) {
+        const meta = storage[META_KEY];
+        if (!meta || typeof meta !== 'object') return [];
+
+        return Object.keys(meta).filter(key => {
+            if (!meta[key].range) return false;
+            if (spreadsheetId && meta[key].spreadsheetId && meta[key].spreadsheetId !== spreadsheetId) return false;
+            try {
+                return a1.rangesOverlap(meta[key].range, range);
+            } catch (err) {
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Copy written values into a cached row-major array
+     * Cells outside the cached range are ignored; trimmed rows and cells are filled in
+     * @param {Array<Array>} cached - Cached values (modified in place)
+     * @param {Object} origin - Parsed range of the cached values
+     * @param {Object} target - Parsed range of the written values
+     * @param {Array<Array>} values - Written values
+     * @private
+     */
+    _patchValues(cached, origin, target, values) {
+        const originRow = origin.startRow || 1;
+        const originCol = origin.startCol || 1;
+
+        values.forEach((row, i) => {
+            const sheetRow = (target.startRow || 1) + i;
+            if (sheetRow < originRow || (origin.endRow && sheetRow > origin.endRow)) return;
+
+            (Array.isArray(row) ? row : [row]).forEach((value, j) => {
+                const sheetCol = (target.startCol || 1) + j;
+                // The API skips null cells, so they keep their value
+                if (value === null || sheetCol < originCol || (origin.endCol && sheetCol > origin.endCol)) return;
+
+                const r = sheetRow - originRow;
+                const c = sheetCol - originCol;
+                while (cached.length <= r) cached.push([]);
+                while (cached[r].length < c) cached[r].push('');
+                cached[r][c] = value;
+            });
+        });
+    }
+
+    /**
+     * Store metadata for a freshly cached entry
+     * @param {Object} storage - Cache storage object
+     * @param {string} key - Cache key
+     * @param {*} value - Cached value
+     * @param {Object} details - Extra metadata (range, majorDimension)
+     * @private
+     */
+    _writeMetadata(storage, key, value, details) {
+        if (!storage[META_KEY] || typeof storage[META_KEY] !== 'object') {
+            storage[META_KEY] = {};
+        }
+
+        const now = Date.now();
+        storage[META_KEY][key] = {
+            ...details,
+            fetchedAt: now,
+            lastAccess: now,
+            hits: 0,
+            bytes: CacheService.estimateSize(value)
+        };
+    }
+
+    /**
+     * Remove metadata for an entry
+     * @param {Object} storage - Cache storage object
+     * @param {string} key - Cache key
+     * @private
+     */
+    _deleteMetadata(storage, key) {
+        if (storage[META_KEY]) {
+            delete storage[META_KEY][key];
+        }
+    }
+
+    /**
+     * Evict least recently used entries until the storage is within limits
+     * @param {Object} storage - Cache storage object
+     * @private
+     */
+    _evict(storage) {
+        const meta = storage[META_KEY];
+        if ((!this.maxEntries && !this.maxBytes) || !meta) return;
+
+        const entries = Object.keys(meta)
+            .map(key => ({ key, lastAccess: meta[key].lastAccess, bytes: meta[key].bytes }))
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+
+        while (entries.length > 0 &&
+            ((this.maxEntries && entries.length > this.maxEntries) || (this.maxBytes && totalBytes > this.maxBytes))) {
+            const oldest = entries.shift();
+            totalBytes -= oldest.bytes;
+            this.invalidate(storage, oldest.key);
+        }
+    }
+
+    /**
+     * Build a cache key for a read request
+     * The key contains no dots so it is never split into a nested path
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} range - A1 range
+     * @param {string} [majorDimension='ROWS'] - ROWS or COLUMNS
+     * @param {string} [valueRenderOption='FORMATTED_VALUE'] - Value render option
+     * @param {string} [dateTimeRenderOption] - Date/time render option, only part of the key when given
+     * @returns {string} Cache key
+     */
+    static buildKey(spreadsheetId, range, majorDimension = 'ROWS', valueRenderOption = 'FORMATTED_VALUE', dateTimeRenderOption) {
+        const parts = [spreadsheetId, range, majorDimension, valueRenderOption];
+        if (dateTimeRenderOption) parts.push(dateTimeRenderOption);
+        return parts
+            .map(part => encodeURIComponent(String(part)).replace(/\./g, '%2E'))
+            .join('|');
+    }
+
+    /**
+     * Estimate the serialized size of a value in bytes
+     * @param {*} value - Value to measure
+     * @returns {number} Approximate size in bytes
+     */
+    static estimateSize(value) {
+        try {
+            return Buffer.byteLength(JSON.stringify(value) || '', 'utf8');
+        } catch (err) {
+            return 0;
+        }
+    }
 }
 
 module.exports = CacheService;
@@ -1,11 +1,61 @@
 const { google } = require('googleapis');
+const RetryPolicy = require('../utils/RetryPolicy');
+
+// Operations that count against the read quota; everything else is a write
+const READ_OPERATIONS = new Set(['get', 'batchGet', 'getSpreadsheet', 'gviz']);
+
+// Visualization API endpoint; the spreadsheet ID and /gviz/tq are appended
+const GVIZ_BASE_URL = 'https://docs.google.com/spreadsheets/d';
+
+/**
+ * Pick the render options to send with a read; unset options keep the API defaults
+ * @param {Object} options - Read options
+ * @returns {Object} valueRenderOption and dateTimeRenderOption, when set
+ * @private
+ */
+function renderOptions(options) {
+    const result = {};
+    if (options.valueRenderOption) result.valueRenderOption = options.valueRenderOption;
+    if (options.dateTimeRenderOption) result.dateTimeRenderOption = options.dateTimeRenderOption;
+    return result;
+}
 
 /**
  * Service class for Google Sheets API operations
  * Provides abstraction layer over googleapis library
- * Handles all direct API interactions with error handling
+ * Handles all direct API interactions with error handling and retries
  */
 class GoogleSheetsService {
+    /**
+     * Create a Sheets service
+     * @param {Object} [options] - Service options
+     * @param {RetryPolicy} [options.retryPolicy] - Retry policy for transient failures (default: no retries)
+     * @param {{read: RateLimiter, write: RateLimiter}} [options.rateLimits] - Shared read and write limiters (default: unlimited)
+     * @param {string} [options.gvizBaseUrl] - Base URL for gviz queries (default: Google Sheets)
+     */
+    constructor(options = {}) {
+        this.retryPolicy = options.retryPolicy || new RetryPolicy();
+        this.rateLimits = options.rateLimits || null;
+        this.gvizBaseUrl = options.gvizBaseUrl || GVIZ_BASE_URL;
+        this.onRetry = null;
+        this.onQueue = null;
+    }
+    
+    /**
+     * Create a view of this service that reports retries and queueing to listeners
+     * Lets callers attribute retries and rate limit waits to the message that triggered them
+     * @param {Object} listeners - Listener callbacks
+     * @param {Function} [listeners.onRetry] - Called with (retryNumber, delay, error) before each retry
+     * @param {Function} [listeners.onQueue] - Called with (queueDepth, estimatedWait) when a request waits for quota
+     * @returns {GoogleSheetsService} Service sharing this instance's configuration
+     */
+    withListeners(listeners) {
+        const scoped = Object.create(this);
+        scoped.onRetry = listeners.onRetry || null;
+        scoped.onQueue = listeners.onQueue || null;
+        return scoped;
+    }
+    
     /**
      * Get Google Sheets API client
      * @param {Object} auth - Authenticated Google API client
@@ -21,7 +71,7 @@ class GoogleSheetsService {
      * @param {Object} auth - Authenticated Google API client
      * @param {string} spreadsheetId - The spreadsheet ID
      * @param {string} range - The A1 notation range
-     * @param {Object} options - Additional options (majorDimension, etc.)
+     * @param {Object} options - Additional options (majorDimension, valueRenderOption, dateTimeRenderOption)
      * @returns {Promise<Object>} Response data from API
      */
     async getValues(auth, spreadsheetId, range, options = {}) {
@@ -34,15 +84,38 @@ class GoogleSheetsService {
         const parameters = {
             spreadsheetId,
             range,
-            majorDimension: options.majorDimension || 'ROWS'
+            majorDimension: options.majorDimension || 'ROWS',
+            ...renderOptions(options)
         };
         
-        try {
-            const response = await sheets.spreadsheets.values.get(parameters);
-            return response.data;
-        } catch (err) {
-            throw this._enhanceError(err, 'get', spreadsheetId, range);
-        }
+        const response = await this._execute('get', spreadsheetId, range, () => sheets.spreadsheets.values.get(parameters));
+        return response.data;
+    }
+    
+    /**
+     * Get values from several ranges in one request
+     * @param {Object} auth - Authenticated Google API client
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {Array<string>} ranges - A1 notation ranges
+     * @param {Object} options - Additional options (majorDimension, valueRenderOption, dateTimeRenderOption)
+     * @returns {Promise<Object>} Response data from API, with one entry per range in valueRanges
+     */
+    async batchGetValues(auth, spreadsheetId, ranges, options = {}) {
+        if (!auth) throw new Error('Auth client is required');
+        if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+        if (!Array.isArray(ranges) || ranges.length === 0) throw new Error('Ranges must be a non-empty array');
+        
+        const sheets = this._getSheetsClient(auth);
+        
+        const parameters = {
+            spreadsheetId,
+            ranges,
+            majorDimension: options.majorDimension || 'ROWS',
+            ...renderOptions(options)
+        };
+        
+        const response = await this._execute('batchGet', spreadsheetId, ranges.join(','), () => sheets.spreadsheets.values.batchGet(parameters));
+        return response.data;
     }
     
     /**
@@ -52,9 +125,13 @@ class GoogleSheetsService {
      * @param {string} range - The A1 notation range
      * @param {Array} values - 2D array of values to set
      * @param {string} method - Method: 'append', 'update', or 'new'
+     * @param {Object} options - Additional options
+     * @param {string} [options.valueInputOption='USER_ENTERED'] - RAW stores strings as typed, USER_ENTERED parses them
+     * @param {string} [options.insertDataOption] - OVERWRITE or INSERT_ROWS (append only; default: API default)
+     * @param {boolean} [options.includeValuesInResponse] - Return the written values, with formulas computed
      * @returns {Promise<Object>} Response data from API
      */
-    async setValues(auth, spreadsheetId, range, values, method = 'append') {
+    async setValues(auth, spreadsheetId, range, values, method = 'append', options = {}) {
         if (!auth) throw new Error('Auth client is required');
         if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
         if (!range) throw new Error('Range is required');
@@ -65,18 +142,54 @@ class GoogleSheetsService {
         const parameters = {
             spreadsheetId,
             range,
-            valueInputOption: 'USER_ENTERED',
+            valueInputOption: options.valueInputOption || 'USER_ENTERED',
             resource: { values }
         };
         
         const apiMethod = (method === 'new') ? 'update' : method;
+        if (apiMethod === 'append' && options.insertDataOption) {
+            parameters.insertDataOption = options.insertDataOption;
+        }
+        if (options.includeValuesInResponse) {
+            parameters.includeValuesInResponse = true;
+        }
+        
+        // Appending again after a server error could add the rows twice
+        const response = await this._execute('set', spreadsheetId, range, () => sheets.spreadsheets.values[apiMethod](parameters), apiMethod !== 'append');
+        return response.data;
+    }
+    
+    /**
+     * Set values in several ranges with one request
+     * @param {Object} auth - Authenticated Google API client
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {Array<{range: string, values: Array<Array>}>} data - Ranges and 2D arrays of values to write
+     * @param {Object} options - Additional options
+     * @param {string} [options.valueInputOption='USER_ENTERED'] - RAW stores strings as typed, USER_ENTERED parses them
+     * @param {boolean} [options.includeValuesInResponse] - Return the written values, with formulas computed
+     * @returns {Promise<Object>} Response data from API, with one entry per range in responses
+     */
+    async batchUpdateValues(auth, spreadsheetId, data, options = {}) {
+        if (!auth) throw new Error('Auth client is required');
+        if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+        if (!Array.isArray(data) || data.length === 0) throw new Error('Data must be a non-empty array');
         
-        try {
-            const response = await sheets.spreadsheets.values[apiMethod](parameters);
-            return response.data;
-        } catch (err) {
-            throw this._enhanceError(err, 'set', spreadsheetId, range);
+        const sheets = this._getSheetsClient(auth);
+        
+        const parameters = {
+            spreadsheetId,
+            resource: {
+                valueInputOption: options.valueInputOption || 'USER_ENTERED',
+                data
+            }
+        };
+        if (options.includeValuesInResponse) {
+            parameters.resource.includeValuesInResponse = true;
         }
+        
+        const ranges = data.map(entry => entry.range).join(',');
+        const response = await this._execute('batchUpdate', spreadsheetId, ranges, () => sheets.spreadsheets.values.batchUpdate(parameters));
+        return response.data;
     }
     
     /**
@@ -98,12 +211,172 @@ class GoogleSheetsService {
             range
         };
         
-        try {
-            const response = await sheets.spreadsheets.values.clear(parameters);
-            return response.data;
-        } catch (err) {
-            throw this._enhanceError(err, 'clear', spreadsheetId, range);
+        const response = await this._execute('clear', spreadsheetId, range, () => sheets.spreadsheets.values.clear(parameters));
+        return response.data;
+    }
+    
+    /**
+     * Get spreadsheet properties and sheet metadata
+     * @param {Object} auth - Authenticated Google API client
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {Object} options - Additional options
+     * @param {string} [options.fields] - Field mask limiting the response (e.g. 'sheets.properties')
+     * @returns {Promise<Object>} Spreadsheet resource
+     */
+    async getSpreadsheet(auth, spreadsheetId, options = {}) {
+        if (!auth) throw new Error('Auth client is required');
+        if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+        
+        const sheets = this._getSheetsClient(auth);
+        
+        const parameters = { spreadsheetId };
+        if (options.fields) {
+            parameters.fields = options.fields;
         }
+        
+        const response = await this._execute('getSpreadsheet', spreadsheetId, null, () => sheets.spreadsheets.get(parameters));
+        return response.data;
+    }
+    
+    /**
+     * Apply structural or formatting requests to a spreadsheet in one call
+     * @param {Object} auth - Authenticated Google API client
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {Array<Object>} requests - Sheets API requests (deleteDimension, addSheet, repeatCell, ...)
+     * @returns {Promise<Object>} Response data from API, with one reply per request
+     */
+    async batchUpdateSpreadsheet(auth, spreadsheetId, requests) {
+        if (!auth) throw new Error('Auth client is required');
+        if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+        if (!Array.isArray(requests) || requests.length === 0) throw new Error('Requests must be a non-empty array');
+        
+        const sheets = this._getSheetsClient(auth);
+        
+        const parameters = {
+            spreadsheetId,
+            resource: { requests }
+        };
+        
+        // Structural requests such as adding tabs or deleting rows by index must not be applied twice
+        const response = await this._execute('batchUpdateSpreadsheet', spreadsheetId, null, () => sheets.spreadsheets.batchUpdate(parameters), false);
+        return response.data;
+    }
+    
+    /**
+     * Create a spreadsheet
+     * The file belongs to the service account until it is shared
+     * @param {Object} auth - Authenticated Google API client
+     * @param {Object} resource - Spreadsheet resource with properties and sheets
+     * @returns {Promise<Object>} The new spreadsheet, with spreadsheetId and spreadsheetUrl
+     */
+    async createSpreadsheet(auth, resource) {
+        if (!auth) throw new Error('Auth client is required');
+        if (!resource || typeof resource !== 'object') throw new Error('Spreadsheet resource is required');
+        
+        const sheets = this._getSheetsClient(auth);
+        
+        const response = await this._execute('createSpreadsheet', null, null, () => sheets.spreadsheets.create({ resource }), false);
+        return response.data;
+    }
+    
+    /**
+     * Copy a tab into another spreadsheet
+     * The copy is added as the last tab and named "Copy of" the source title
+     * @param {Object} auth - Authenticated Google API client
+     * @param {string} spreadsheetId - Spreadsheet holding the tab to copy
+     * @param {number} sheetId - ID of the tab to copy
+     * @param {string} destinationSpreadsheetId - Spreadsheet to copy the tab into
+     * @returns {Promise<Object>} Properties of the new tab
+     */
+    async copySheetTo(auth, spreadsheetId, sheetId, destinationSpreadsheetId) {
+        if (!auth) throw new Error('Auth client is required');
+        if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+        if (!Number.isInteger(sheetId)) throw new Error('Sheet ID must be an integer');
+        if (!destinationSpreadsheetId) throw new Error('Destination spreadsheet ID is required');
+        
+        const sheets = this._getSheetsClient(auth);
+        
+        const parameters = {
+            spreadsheetId,
+            sheetId,
+            resource: { destinationSpreadsheetId }
+        };
+        
+        const response = await this._execute('copySheetTo', spreadsheetId, null, () => sheets.spreadsheets.sheets.copyTo(parameters), false);
+        return response.data;
+    }
+    
+    /**
+     * Run a Visualization API (gviz) query such as "select A, C where B > 100 order by C"
+     * Filtering happens on Google's side, so only matching rows are transferred
+     * @param {Object} auth - Authenticated Google API client (provides getRequestHeaders)
+     * @param {string} spreadsheetId - The spreadsheet ID
+     * @param {string} tq - Query in the Visualization API query language
+     * @param {Object} options - Additional options
+     * @param {string} [options.sheet] - Sheet name to query (default: first sheet)
+     * @param {string} [options.range] - A1 range within the sheet (e.g. 'A1:D')
+     * @param {number} [options.headers] - Number of header rows (default: detected by Google)
+     * @returns {Promise<Object>} Data table with cols and rows
+     */
+    async queryGviz(auth, spreadsheetId, tq, options = {}) {
+        if (!auth) throw new Error('Auth client is required');
+        if (!spreadsheetId) throw new Error('Spreadsheet ID is required');
+        if (!tq || typeof tq !== 'string') throw new Error('Query is required');
+        
+        const url = new URL(`${this.gvizBaseUrl}/${encodeURIComponent(spreadsheetId)}/gviz/tq`);
+        url.searchParams.set('tqx', 'out:json');
+        url.searchParams.set('tq', tq);
+        if (options.sheet) url.searchParams.set('sheet', options.sheet);
+        if (options.range) url.searchParams.set('range', options.range);
+        if (options.headers !== undefined) url.searchParams.set('headers', String(options.headers));
+        
+        return this._execute('gviz', spreadsheetId, options.range || options.sheet || null, async () => {
+            const headers = await auth.getRequestHeaders(url.toString());
+            const response = await fetch(url, { headers });
+            const body = await response.text();
+            
+            if (!response.ok) {
+                const err = new Error(`gviz query failed with HTTP ${response.status}`);
+                err.response = { status: response.status, headers: response.headers };
+                throw err;
+            }
+            return GoogleSheetsService.parseGvizResponse(body);
+        });
+    }
+    
+    /**
+     * Run an API call with error enhancement and the retry policy
+     * Every attempt, including retries, waits for a token from the matching rate limiter
+     * @param {string} operation - Operation being performed
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} range - Range being accessed
+     * @param {Function} apiCall - Function performing the API request
+     * @param {boolean} [idempotent=true] - False for calls that add or move data, which are not retried on 5xx
+     * @returns {Promise<Object>} API response
+     * @private
+     */
+    _execute(operation, spreadsheetId, range, apiCall, idempotent = true) {
+        return this.retryPolicy.execute(async () => {
+            await this._acquire(operation);
+            try {
+                return await apiCall();
+            } catch (err) {
+                throw this._enhanceError(err, operation, spreadsheetId, range);
+            }
+        }, this.onRetry, idempotent);
+    }
+    
+    /**
+     * Wait for quota for an operation
+     * @param {string} operation - Operation being performed
+     * @returns {Promise<number>} Time spent waiting in milliseconds
+     * @private
+     */
+    _acquire(operation) {
+        if (!this.rateLimits) return Promise.resolve(0);
+        
+        const limiter = READ_OPERATIONS.has(operation) ? this.rateLimits.read : this.rateLimits.write;
+        return limiter ? limiter.acquire(this.onQueue) : Promise.resolve(0);
     }
     
     /**
@@ -133,6 +406,14 @@ class GoogleSheetsService {
             error.statusCode = err.response.status;
         }
         
+        // Keep the server's Retry-After hint (in milliseconds) for backoff
+        const headers = err.response && err.response.headers;
+        if (headers) {
+            const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+            const delay = RetryPolicy.parseRetryAfter(retryAfter);
+            if (delay !== undefined) error.retryAfter = delay;
+        }
+        
         // Extract error details from response data
         if (err.response && err.response.data && err.response.data.error) {
             const apiError = err.response.data.error;
@@ -143,6 +424,29 @@ class GoogleSheetsService {
         
         return error;
     }
+    
+    /**
+     * Parse a gviz JSON response
+     * The body is a JavaScript callback wrapping JSON: google.visualization.Query.setResponse({...});
+     * @param {string} body - Response body
+     * @returns {Object} Data table with cols and rows
+     */
+    static parseGvizResponse(body) {
+        const start = body.indexOf('{');
+        const end = body.lastIndexOf('}');
+        if (start === -1 || end < start) {
+            // Google answers with a sign-in page when the service account has no access
+            throw new Error('Unexpected gviz response. Check the spreadsheet is shared with the service account');
+        }
+        
+        const result = JSON.parse(body.slice(start, end + 1));
+        if (result.status === 'error') {
+            const detail = (result.errors && result.errors[0]) || {};
+            throw new Error(`gviz query error: ${detail.detailed_message || detail.message || detail.reason || 'unknown error'}`);
+        }
+        
+        return result.table || { cols: [], rows: [] };
+    }
 }
 
 module.exports = GoogleSheetsService;
@@ -1,3 +1,28 @@
+const a1 = require('../a1');
+
+// Spreadsheet serial numbers count days from 1899-12-30; the Unix epoch is day 25569
+const SERIAL_EPOCH_DAYS = 25569;
+const MS_PER_DAY = 86400000;
+
+// Leading characters that make a spreadsheet evaluate a string as a formula
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+// Number format types; any other numberFormat string is a pattern
+const NUMBER_FORMAT_TYPES = ['TEXT', 'NUMBER', 'PERCENT', 'CURRENCY', 'DATE', 'TIME', 'DATE_TIME', 'SCIENTIFIC'];
+
+// Wrap settings of cell formats
+const WRAP_STRATEGIES = { true: 'WRAP', false: 'OVERFLOW_CELL', clip: 'CLIP' };
+
+// Schema types as named in row errors
+const SCHEMA_TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    date: 'a date',
+    json: 'valid JSON'
+};
+
 /**
  * Data transformation utilities for Google Sheets operations
  * Handles conversion between different data formats and spreadsheet values
@@ -188,6 +213,7 @@ class DataTransformer {
     
     /**
      * Transform spreadsheet response to objects using headers
+     * Cells beyond the last field have no name and are left out
      * @param {Array<Array>} values - 2D array from spreadsheet
      * @param {Array<string>} fields - Field names to map to
      * @returns {Array<Object>} Array of objects
@@ -199,7 +225,7 @@ class DataTransformer {
         const result = [];
         for (const row of values) {
             const obj = {};
-            for (let i = 0; i < row.length; i++) {
+            for (let i = 0; i < Math.min(row.length, fields.length); i++) {
                 this.setNestedProperty(obj, fields[i], row[i]);
             }
             result.push(obj);
@@ -330,6 +356,1055 @@ class DataTransformer {
         return array;
     }
     
+    /**
+     * Match objects against existing rows by key fields
+     * The first row of values is the header. In matched rows only the cells of fields the object sets are written:
+     * the others are null, which the API skips, so formulas and number cells there are left as they are.
+     * Objects are flattened like transformArrayOfObjects (nested keys become "a.b"); fields not in the header are ignored.
+     * @param {Array<Array>} values - Existing values, header first
+     * @param {Array<Object>} rows - Objects to write
+     * @param {Array<string>} keys - Key fields identifying a row
+     * @param {Array<string>} [fields] - Only write these fields (keys are always matched)
+     * @returns {{header: Array<string>, updates: Array<{rowIndex: number, key: *, row: Array}>, inserts: Array<{key: *, row: Array}>}}
+     *          Rows to update (rowIndex is 0-based into values) and rows to append, aligned to the header
+     */
+    planUpsert(values, rows, keys, fields) {
+        if (!values || values.length === 0 || !Array.isArray(values[0]) || values[0].length === 0) {
+            throw new Error('Upsert requires a header row in the range');
+        }
+        
+        const header = values[0].map(String);
+        const keyColumns = keys.map(key => {
+            const index = header.indexOf(key);
+            if (index === -1) throw new Error(`Key column "${key}" not found in header`);
+            return index;
+        });
+        
+        // Index existing rows by key; the first match wins
+        const existing = new Map();
+        for (let i = 1; i < values.length; i++) {
+            const id = JSON.stringify(keyColumns.map(c => String(values[i][c] !== undefined ? values[i][c] : '')));
+            if (!existing.has(id)) existing.set(id, i);
+        }
+        
+        const updates = new Map();
+        const inserts = new Map();
+        
+        rows.forEach((obj, n) => {
+            if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+                throw new Error(`Upsert row ${n} must be an object`);
+            }
+            
+            const extracted = this.extractObjectValues(obj);
+            const data = {};
+            extracted.keys.forEach((key, i) => {
+                if (!fields || fields.includes(key) || keys.includes(key)) data[key] = extracted.values[i];
+            });
+            
+            const keyValues = keys.map(key => {
+                if (data[key] === undefined || data[key] === null || data[key] === '') {
+                    throw new Error(`Upsert row ${n} is missing key field "${key}"`);
+                }
+                return data[key];
+            });
+            const id = JSON.stringify(keyValues.map(String));
+            const key = keys.length === 1 ? keyValues[0] : Object.fromEntries(keys.map((k, i) => [k, keyValues[i]]));
+            
+            // Repeated keys in the input merge into the same row
+            if (existing.has(id)) {
+                const rowIndex = existing.get(id);
+                const base = updates.has(id) ? updates.get(id).row : header.map(() => null);
+                updates.set(id, { rowIndex, key, row: this._alignRow(header, data, base) });
+            } else {
+                const base = inserts.has(id) ? inserts.get(id).row : [];
+                inserts.set(id, { key, row: this._alignRow(header, data, base) });
+            }
+        });
+        
+        return { header, updates: Array.from(updates.values()), inserts: Array.from(inserts.values()) };
+    }
+    
+    /**
+     * Find rows matching key values or column filters
+     * The first row of values is the header. Each criterion is either a key value, matched against the single
+     * key column, or an object of column name to value that must all be equal. A row matches if any criterion matches.
+     * Values are compared as strings.
+     * @param {Array<Array>} values - Existing values, header first
+     * @param {*|Array} criteria - Key value, filter object, or an array of them
+     * @param {Array<string>} [keys] - Key column for plain key values
+     * @returns {Array<number>} Matching row indexes (0-based into values, ascending)
+     */
+    findRows(values, criteria, keys = []) {
+        if (!values || values.length === 0 || !Array.isArray(values[0]) || values[0].length === 0) {
+            throw new Error('A header row is required in the range');
+        }
+        
+        const header = values[0].map(String);
+        const column = (name) => {
+            const index = header.indexOf(name);
+            if (index === -1) throw new Error(`Column "${name}" not found in header`);
+            return index;
+        };
+        
+        const matchers = (Array.isArray(criteria) ? criteria : [criteria]).map(criterion => {
+            if (criterion && typeof criterion === 'object') {
+                const conditions = Object.entries(criterion);
+                if (conditions.length === 0) throw new Error('Empty filter would match every row');
+                return conditions.map(([name, value]) => [column(name), String(value)]);
+            }
+            if (keys.length !== 1) {
+                throw new Error('Exactly one key column is required to match by key value');
+            }
+            return [[column(keys[0]), String(criterion)]];
+        });
+        
+        const matches = [];
+        for (let i = 1; i < values.length; i++) {
+            const row = values[i];
+            const cell = (c) => (row[c] !== undefined && row[c] !== null) ? String(row[c]) : '';
+            if (matchers.some(conditions => conditions.every(([c, value]) => cell(c) === value))) {
+                matches.push(i);
+            }
+        }
+        return matches;
+    }
+    
+    /**
+     * Find the rows a delete removes, with each row as an object keyed by the header
+     * An empty range has nothing to delete
+     * @param {Array<Array>} values - Existing values, header first
+     * @param {*|Array} criteria - Key value, filter object, or an array of them, as for findRows
+     * @param {Array<string>} [keys] - Key column for plain key values
+     * @returns {{matches: Array<number>, records: Array<Object>}} Matching row indexes and the rows as objects
+     */
+    planDelete(values, criteria, keys = []) {
+        if (!values || values.length === 0) return { matches: [], records: [] };
+        
+        const matches = this.findRows(values, criteria, keys);
+        return { matches, records: this.transformToObjects(matches.map(i => values[i]), values[0].map(String)) };
+    }
+    
+    /**
+     * Lay out objects under the columns of an existing header row
+     * Objects are flattened like transformArrayOfObjects (nested keys become "a.b"). Columns without a matching
+     * field are left blank. Fields without a column are dropped, or become new columns after the header with addHeaders.
+     * @param {Array<Object>} rows - Objects to write
+     * @param {Array<string>} header - Existing column names
+     * @param {boolean} [addHeaders=false] - Add columns for fields not in the header, in the order they are first seen
+     * @returns {{header: Array<string>, added: Array<string>, values: Array<Array>}} Full header, new column names and rows in header order
+     */
+    alignToHeader(rows, header, addHeaders = false) {
+        const columns = header.map(name => String(name).trim());
+        const added = [];
+        
+        const records = rows.map((obj, n) => {
+            if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+                throw new Error(`Row ${n} must be an object to match headers`);
+            }
+            
+            const extracted = this.extractObjectValues(obj);
+            const data = {};
+            extracted.keys.forEach((key, i) => {
+                if (addHeaders && !columns.includes(key) && !added.includes(key)) added.push(key);
+                data[key] = extracted.values[i];
+            });
+            return data;
+        });
+        
+        const full = columns.concat(added);
+        if (!records.some(data => full.some(name => data[name] !== undefined))) {
+            throw new Error('No fields match the header row');
+        }
+        
+        return { header: full, added, values: records.map(data => this._alignRow(full, data, [])) };
+    }
+    
+    /**
+     * Build a row in header order from field values, keeping base cells for missing fields
+     * @param {Array<string>} header - Column names
+     * @param {Object} data - Flattened field values
+     * @param {Array} base - Existing row
+     * @returns {Array} Row aligned to the header
+     * @private
+     */
+    _alignRow(header, data, base) {
+        return header.map((name, i) => {
+            if (data[name] !== undefined) return data[name];
+            return base[i] !== undefined ? base[i] : '';
+        });
+    }
+    
+    /**
+     * Run a query against values with a header row
+     * Rows are converted with _transformToObjectArray, then filtered, sorted and paged
+     * @param {Array<Array>} values - Values, header first
+     * @param {Object} query - Query spec
+     * @param {Object} [query.where] - Column conditions, combined with AND; use {or: [...]} or {and: [...]} to nest
+     * @param {string|Array<string>} [query.sort] - Column names, prefixed with "-" for descending
+     * @param {number} [query.offset] - Matching rows to skip
+     * @param {number} [query.limit] - Maximum rows to return
+     * @returns {{rows: Array<Object>, total: number}} Page of matching rows and the number of matches before paging
+     */
+    queryValues(values, query) {
+        const objects = (values && values.length > 0) ? this._transformToObjectArray(this.copyValuesArray(values)) : [];
+        let rows = query.where ? objects.filter(row => this._matchesWhere(row, query.where)) : objects;
+        const total = rows.length;
+        
+        if (query.sort) {
+            const keys = (Array.isArray(query.sort) ? query.sort : [query.sort]).map(key => ({
+                column: key.startsWith('-') ? key.slice(1) : key,
+                direction: key.startsWith('-') ? -1 : 1
+            }));
+            rows = rows.slice().sort((a, b) => {
+                for (const { column, direction } of keys) {
+                    const result = this._compareForSort(a[column], b[column], direction);
+                    if (result !== 0) return result;
+                }
+                return 0;
+            });
+        }
+        
+        const offset = query.offset || 0;
+        const end = query.limit !== undefined ? offset + query.limit : undefined;
+        return { rows: rows.slice(offset, end), total };
+    }
+    
+    /**
+     * Check a row against a where clause
+     * @param {Object} row - Row object keyed by header
+     * @param {Object} where - Column conditions, or {and: [...]} / {or: [...]}
+     * @returns {boolean} True if the row matches
+     * @private
+     */
+    _matchesWhere(row, where) {
+        return Object.entries(where).every(([key, condition]) => {
+            if (key === 'and') return condition.every(clause => this._matchesWhere(row, clause));
+            if (key === 'or') return condition.some(clause => this._matchesWhere(row, clause));
+            
+            const ops = (condition !== null && typeof condition === 'object') ? condition : { eq: condition };
+            return Object.entries(ops).every(([op, expected]) => this._matchesCondition(row[key], op, expected));
+        });
+    }
+    
+    /**
+     * Evaluate one operator against a cell value
+     * Numbers are compared numerically when both sides are numeric, otherwise as text
+     * @param {*} value - Cell value
+     * @param {string} op - eq, ne, contains, gt, gte, lt or lte
+     * @param {*} expected - Value from the query
+     * @returns {boolean} True if the condition holds
+     * @private
+     */
+    _matchesCondition(value, op, expected) {
+        const cell = (value === undefined || value === null) ? '' : value;
+        
+        switch (op) {
+            case 'eq': return this._compareValues(cell, expected) === 0;
+            case 'ne': return this._compareValues(cell, expected) !== 0;
+            case 'contains': return String(cell).toLowerCase().includes(String(expected).toLowerCase());
+            case 'gt': return cell !== '' && this._compareValues(cell, expected) > 0;
+            case 'gte': return cell !== '' && this._compareValues(cell, expected) >= 0;
+            case 'lt': return cell !== '' && this._compareValues(cell, expected) < 0;
+            case 'lte': return cell !== '' && this._compareValues(cell, expected) <= 0;
+            default: throw new Error(`Unknown query operator "${op}"`);
+        }
+    }
+    
+    /**
+     * Compare two values, numerically when both are numeric
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {number} Negative, zero or positive
+     * @private
+     */
+    _compareValues(a, b) {
+        const x = Number(a);
+        const y = Number(b);
+        if (a !== '' && b !== '' && !isNaN(x) && !isNaN(y)) {
+            return x - y;
+        }
+        const s1 = String(a);
+        const s2 = String(b);
+        return s1 < s2 ? -1 : (s1 > s2 ? 1 : 0);
+    }
+    
+    /**
+     * Compare two cell values for sorting; empty cells sort last in either direction
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @param {number} direction - 1 for ascending, -1 for descending
+     * @returns {number} Negative, zero or positive
+     * @private
+     */
+    _compareForSort(a, b, direction) {
+        const emptyA = a === undefined || a === null || a === '';
+        const emptyB = b === undefined || b === null || b === '';
+        if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+        return this._compareValues(a, b) * direction;
+    }
+    
+    /**
+     * Escape strings that a spreadsheet would evaluate as formulas
+     * Strings starting with =, +, - or @ get a leading apostrophe, which Sheets keeps as text.
+     * Arrays and plain objects are copied with their strings escaped; other values are unchanged.
+     * RAW input is never evaluated and would store the apostrophe, so it is returned as is
+     * @param {*} data - Input data (value, array or object)
+     * @param {string} [valueInputOption] - Value input option of the write
+     * @returns {*} Escaped copy of the data
+     */
+    sanitizeInput(data, valueInputOption) {
+        if (valueInputOption === 'RAW') return data;
+        if (typeof data === 'string') {
+            return FORMULA_PREFIX.test(data) ? `'${data}` : data;
+        }
+        if (Array.isArray(data)) {
+            return data.map(item => this.sanitizeInput(item));
+        }
+        if (data && typeof data === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(data))) {
+            const copy = {};
+            for (const key of Object.keys(data)) {
+                copy[key] = this.sanitizeInput(data[key]);
+            }
+            return copy;
+        }
+        return data;
+    }
+    
+    /**
+     * Resolve date column references to 0-based positions in the values
+     * A reference is a header name from the first line, or an upper-case column letter of the sheet
+     * @param {Array<Array>} values - 2D array read from the range
+     * @param {Array<string>} columns - Header names or column letters
+     * @param {number} startCol - 1-based first column of the range
+     * @param {string} [majorDimension='ROWS'] - ROWS or COLUMNS, as the values were read
+     * @returns {Array<number>} 0-based column positions
+     */
+    resolveColumns(values, columns, startCol, majorDimension = 'ROWS') {
+        const header = majorDimension === 'COLUMNS' ? values.map(column => column[0]) : (values[0] || []);
+        
+        return columns.map(column => {
+            const index = header.indexOf(column);
+            if (index > -1) return index;
+            if (/^[A-Z]{1,3}$/.test(column) && a1.letterToColumn(column) >= startCol) {
+                return a1.letterToColumn(column) - startCol;
+            }
+            throw new Error(`Column "${column}" not found in header or range`);
+        });
+    }
+    
+    /**
+     * Convert serial date numbers in the given columns to dates
+     * Cells that are not numbers (headers, text, empty cells) are left unchanged
+     * @param {Array<Array>} values - 2D array read with dateTimeRenderOption SERIAL_NUMBER
+     * @param {Array<number>} columns - 0-based column positions holding dates
+     * @param {string} format - 'date' for Date objects or 'iso' for ISO 8601 strings
+     * @param {string} [majorDimension='ROWS'] - ROWS or COLUMNS, as the values were read
+     * @returns {Array<Array>} Copy of the values with converted dates
+     */
+    convertSerialDates(values, columns, format, majorDimension = 'ROWS') {
+        const convert = (cell) => {
+            if (typeof cell !== 'number') return cell;
+            const date = this.serialToDate(cell);
+            return format === 'iso' ? date.toISOString() : date;
+        };
+        
+        if (majorDimension === 'COLUMNS') {
+            return values.map((column, i) => columns.includes(i) ? column.map(convert) : [...column]);
+        }
+        return values.map(row => row.map((cell, i) => columns.includes(i) ? convert(cell) : cell));
+    }
+    
+    /**
+     * Convert a spreadsheet serial number to a Date
+     * The spreadsheet time zone is not applied: the wall-clock time is returned as UTC
+     * @param {number} serial - Days since 1899-12-30, with the time of day as the fraction
+     * @returns {Date} Date
+     */
+    serialToDate(serial) {
+        return new Date(Math.round((serial - SERIAL_EPOCH_DAYS) * MS_PER_DAY));
+    }
+    
+    /**
+     * Convert a Date to a spreadsheet serial number, the inverse of serialToDate
+     * @param {Date} date - Date, whose UTC wall-clock time is kept
+     * @returns {number} Days since 1899-12-30, with the time of day as the fraction
+     */
+    dateToSerial(date) {
+        return date.getTime() / MS_PER_DAY + SERIAL_EPOCH_DAYS;
+    }
+    
+    /**
+     * Coerce rows to a schema of column types
+     * The first row is the header. Schema columns missing from the header are added and count as empty.
+     * Empty cells take the column default, or null; rows that fail are left out and reported instead.
+     * @param {Array<Array>} values - Values read by row, header first
+     * @param {Object|Array<Object>} schema - Column name to type or spec, or an ordered array of specs with a name
+     * @param {number} [firstRow=1] - Sheet row number of the header, used to number rejected rows
+     * @returns {{values: Array<Array>, rejected: Array<{row: number, values: Array, errors: Array<string>}>}}
+     *          Header and valid coerced rows, and the rows that failed with their errors
+     */
+    applySchema(values, schema, firstRow = 1) {
+        if (!values || values.length === 0) {
+            return { values: [], rejected: [] };
+        }
+        
+        const header = [...values[0]];
+        const columns = this._schemaColumns(schema).map(column => {
+            const index = header.indexOf(column.name);
+            return Object.assign(column, { index: index > -1 ? index : header.push(column.name) - 1 });
+        });
+        const width = Math.max(...columns.map(column => column.index + 1));
+        
+        const result = [header];
+        const rejected = [];
+        values.slice(1).forEach((row, i) => {
+            const coerced = [...row];
+            while (coerced.length < width) coerced.push(null);
+            
+            const errors = [];
+            for (const { name, index, spec } of columns) {
+                const checked = this._checkCell(name, row[index], spec);
+                errors.push(...checked.errors);
+                coerced[index] = checked.value;
+            }
+            
+            if (errors.length > 0) {
+                rejected.push({ row: firstRow + i + 1, values: row, errors });
+            } else {
+                result.push(coerced);
+            }
+        });
+        
+        return { values: result, rejected };
+    }
+    
+    /**
+     * Check records against a schema before writing them
+     * Each valid record becomes one row with the schema columns in order, so missing fields never shift columns.
+     * Objects are matched by field name (nested fields as "a.b"), arrays by position.
+     * Dates are written as serial numbers and json columns as JSON text; empty cells are written as "".
+     * @param {Object|Array} records - Record or array of records
+     * @param {Object|Array<Object>} schema - Column name to type or spec, or an ordered array of specs with a name
+     * @returns {{header: Array<string>, values: Array<Array>, rejected: Array<{index: number, record: *, errors: Array<string>}>}}
+     *          Column names, rows of valid records, and the records that failed with their 0-based index
+     */
+    applyWriteSchema(records, schema) {
+        const columns = this._schemaColumns(schema);
+        const values = [];
+        const rejected = [];
+        
+        (Array.isArray(records) ? records : [records]).forEach((record, index) => {
+            if (!record || typeof record !== 'object') {
+                rejected.push({ index, record, errors: ['record must be an object or an array'] });
+                return;
+            }
+            
+            // Whole fields first, so Date and json object fields are not flattened
+            const flat = Array.isArray(record) ? null : this.extractObjectValues(record);
+            const errors = [];
+            const row = columns.map(({ name, spec }, position) => {
+                let cell = record[position];
+                if (flat) {
+                    cell = Object.prototype.hasOwnProperty.call(record, name) ? record[name] : flat.values[flat.keys.indexOf(name)];
+                }
+                const checked = this._checkCell(name, cell, spec);
+                errors.push(...checked.errors);
+                return this._toCell(checked.value, spec.type);
+            });
+            
+            if (errors.length > 0) {
+                rejected.push({ index, record, errors });
+            } else {
+                values.push(row);
+            }
+        });
+        
+        return { header: columns.map(column => column.name), values, rejected };
+    }
+    
+    /**
+     * List schema columns in order
+     * @param {Object|Array<Object|string>} schema - Column name to type or spec, or an array of specs with a name (or bare names)
+     * @returns {Array<{name: string, spec: Object}>} Columns with their spec
+     * @private
+     */
+    _schemaColumns(schema) {
+        if (Array.isArray(schema)) {
+            return schema.map(entry => {
+                if (typeof entry === 'string') return { name: entry, spec: {} };
+                const { name, ...spec } = entry;
+                return { name, spec };
+            });
+        }
+        return Object.entries(schema).map(([name, spec]) => ({ name, spec: typeof spec === 'string' ? { type: spec } : spec }));
+    }
+    
+    /**
+     * Apply one column spec to a cell: default, required, type and constraints
+     * @param {string} name - Column name, used in errors
+     * @param {*} cell - Cell or field value
+     * @param {Object} spec - Column spec
+     * @returns {{value: *, errors: Array<string>}} Coerced value (null when empty) and the errors found
+     * @private
+     */
+    _checkCell(name, cell, spec) {
+        if (cell === undefined || cell === null || cell === '') {
+            if (spec.default !== undefined) return { value: spec.default, errors: [] };
+            return { value: null, errors: spec.required ? [`${name}: required`] : [] };
+        }
+        
+        const value = spec.type ? this._coerceCell(cell, spec.type) : cell;
+        if (value === undefined) {
+            return { value: cell, errors: [`${name}: ${JSON.stringify(cell)} is not ${SCHEMA_TYPE_NAMES[spec.type]}`] };
+        }
+        
+        const errors = [];
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        if (spec.maxLength !== undefined && text.length > spec.maxLength) {
+            errors.push(`${name}: longer than ${spec.maxLength} characters`);
+        }
+        if (spec.enum && !spec.enum.includes(value)) {
+            errors.push(`${name}: ${JSON.stringify(value)} is not one of ${spec.enum.map(item => JSON.stringify(item)).join(', ')}`);
+        }
+        if (spec.pattern && !new RegExp(spec.pattern).test(typeof value === 'string' ? value : String(value))) {
+            errors.push(`${name}: ${JSON.stringify(value)} does not match ${spec.pattern}`);
+        }
+        return { value, errors };
+    }
+    
+    /**
+     * Coerce one non-empty cell to a schema type
+     * @param {*} cell - Cell value
+     * @param {string} type - string, number, integer, boolean, date or json
+     * @returns {*} Coerced value, or undefined if the cell cannot be coerced
+     * @private
+     */
+    _coerceCell(cell, type) {
+        switch (type) {
+            case 'number':
+            case 'integer': {
+                const number = typeof cell === 'number' ? cell : (String(cell).trim() === '' ? NaN : Number(cell));
+                if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) return undefined;
+                return number;
+            }
+            case 'boolean': {
+                const text = String(cell).trim().toLowerCase();
+                if (['true', '1', 'yes'].includes(text)) return true;
+                if (['false', '0', 'no'].includes(text)) return false;
+                return undefined;
+            }
+            case 'date': {
+                if (cell instanceof Date) return isNaN(cell.getTime()) ? undefined : cell;
+                const date = typeof cell === 'number' ? this.serialToDate(cell) : new Date(cell);
+                return isNaN(date.getTime()) ? undefined : date;
+            }
+            case 'json':
+                if (typeof cell !== 'string') return cell;
+                try {
+                    return JSON.parse(cell);
+                } catch (err) {
+                    return undefined;
+                }
+            default:
+                return String(cell);
+        }
+    }
+    
+    /**
+     * Convert a checked value back to a cell for writing
+     * @param {*} value - Value from _checkCell
+     * @param {string} [type] - Schema type
+     * @returns {*} Cell value
+     * @private
+     */
+    _toCell(value, type) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return this.dateToSerial(value);
+        if (type === 'json' || typeof value === 'object') return JSON.stringify(value);
+        return value;
+    }
+    
+    /**
+     * Flatten the tab properties of a spreadsheet resource
+     * @param {Object} spreadsheet - Spreadsheet resource from spreadsheets.get
+     * @returns {Array<Object>} One entry per tab with sheetId, title, index, sheetType, hidden, grid size and frozen counts
+     */
+    sheetProperties(spreadsheet) {
+        return (spreadsheet.sheets || []).map(sheet => {
+            const properties = sheet.properties || {};
+            const grid = properties.gridProperties || {};
+            const entry = {
+                sheetId: properties.sheetId,
+                title: properties.title,
+                index: properties.index || 0,
+                sheetType: properties.sheetType || 'GRID',
+                hidden: Boolean(properties.hidden),
+                rowCount: grid.rowCount,
+                columnCount: grid.columnCount,
+                frozenRowCount: grid.frozenRowCount || 0,
+                frozenColumnCount: grid.frozenColumnCount || 0
+            };
+            if (properties.tabColor) entry.tabColor = properties.tabColor;
+            return entry;
+        });
+    }
+    
+    /**
+     * Summarize a spreadsheet resource: properties, tabs, named ranges, protected ranges and developer metadata
+     * Grid ranges are given in A1 notation on the tab they belong to
+     * @param {Object} spreadsheet - Spreadsheet resource from spreadsheets.get
+     * @returns {Object} {spreadsheetId, spreadsheetUrl, title, locale, timeZone, sheets, namedRanges, protectedRanges, developerMetadata}
+     */
+    spreadsheetMetadata(spreadsheet) {
+        const properties = spreadsheet.properties || {};
+        const sheets = this.sheetProperties(spreadsheet);
+        // The API leaves out sheetId 0
+        const titles = new Map(sheets.map(sheet => [sheet.sheetId || 0, sheet.title]));
+        const toA1 = (gridRange = {}) => a1.fromGridRange(gridRange, titles.get(gridRange.sheetId || 0));
+        
+        const namedRanges = (spreadsheet.namedRanges || []).map(named => ({
+            name: named.name,
+            namedRangeId: named.namedRangeId,
+            range: toA1(named.range)
+        }));
+        
+        const protectedRanges = [];
+        const developerMetadata = (spreadsheet.developerMetadata || []).map(entry => this._developerMetadata(entry, titles));
+        for (const sheet of spreadsheet.sheets || []) {
+            for (const protection of sheet.protectedRanges || []) {
+                const named = namedRanges.find(entry => entry.namedRangeId === protection.namedRangeId);
+                const editors = protection.editors || {};
+                protectedRanges.push({
+                    protectedRangeId: protection.protectedRangeId,
+                    range: named ? named.range : toA1(protection.range),
+                    namedRange: named ? named.name : undefined,
+                    description: protection.description || '',
+                    warningOnly: Boolean(protection.warningOnly),
+                    editors: (editors.users || []).concat(editors.groups || []),
+                    unprotectedRanges: (protection.unprotectedRanges || []).map(toA1)
+                });
+            }
+            (sheet.developerMetadata || []).forEach(entry => developerMetadata.push(this._developerMetadata(entry, titles)));
+        }
+        
+        return {
+            spreadsheetId: spreadsheet.spreadsheetId,
+            spreadsheetUrl: spreadsheet.spreadsheetUrl,
+            title: properties.title,
+            locale: properties.locale,
+            timeZone: properties.timeZone,
+            sheets,
+            namedRanges,
+            protectedRanges,
+            developerMetadata
+        };
+    }
+    
+    /**
+     * Flatten a developer metadata entry, naming its tab and range
+     * @param {Object} entry - DeveloperMetadata resource
+     * @param {Map<number, string>} titles - Tab titles by sheetId
+     * @returns {{metadataId: number, key: string, value: string, visibility: string, location: Object}} Flattened entry
+     * @private
+     */
+    _developerMetadata(entry, titles) {
+        const location = entry.location || {};
+        const flat = { type: location.locationType };
+        const dimension = location.dimensionRange;
+        if (dimension) {
+            const grid = dimension.dimension === 'COLUMNS'
+                ? { startColumnIndex: dimension.startIndex, endColumnIndex: dimension.endIndex }
+                : { startRowIndex: dimension.startIndex, endRowIndex: dimension.endIndex };
+            flat.sheet = titles.get(dimension.sheetId || 0);
+            flat.range = a1.fromGridRange(grid, flat.sheet);
+        } else if (location.locationType === 'SHEET') {
+            flat.sheet = titles.get(location.sheetId || 0);
+        }
+        
+        return {
+            metadataId: entry.metadataId,
+            key: entry.metadataKey,
+            value: entry.metadataValue,
+            visibility: entry.visibility,
+            location: flat
+        };
+    }
+    
+    /**
+     * Build the batchUpdate requests for tab operations
+     * Tabs are found by title (string) or sheetId (number). Renames and deletes earlier in the list are taken
+     * into account, so a tab can be renamed and then referred to by its new title.
+     * Copies from a template are already made by copyTo; their request names and places the new tab.
+     * @param {Array<Object>} operations - Validated {op, sheet, title, index, ...} entries
+     * @param {Array<Object>} sheets - Current tabs, as returned by sheetProperties
+     * @param {Object} [copies] - Properties of the tab copied for each copy operation, by operation index
+     * @returns {{requests: Array<Object>, targets: Array<Object|null>}} One request per operation, and the tab each one
+     * changed as it was before the change (null for add)
+     */
+    planSheetRequests(operations, sheets, copies = {}) {
+        const tabs = sheets.map(sheet => ({ sheetId: sheet.sheetId, title: sheet.title }));
+        const find = (ref) => {
+            const tab = tabs.find(t => (typeof ref === 'number' ? t.sheetId === ref : t.title === ref));
+            if (!tab) throw new Error(typeof ref === 'number' ? `Sheet ${ref} not found` : `Sheet "${ref}" not found`);
+            return tab;
+        };
+        const update = (sheetId, properties, fields) => ({ updateSheetProperties: { properties: { sheetId, ...properties }, fields } });
+        
+        const requests = [];
+        const targets = [];
+        operations.forEach((operation, i) => {
+            const { op } = operation;
+            if (op === 'add') {
+                requests.push({ addSheet: { properties: this._newSheetProperties(operation) } });
+                targets.push(null);
+                return;
+            }
+            
+            // The copy is the tab to change; its template tab lives in another spreadsheet
+            if (op === 'copy') tabs.push({ sheetId: copies[i].sheetId, title: copies[i].title });
+            const tab = op === 'copy' ? tabs[tabs.length - 1] : find(operation.sheet);
+            targets.push({ ...tab });
+            
+            if (op === 'duplicate') {
+                const request = { sourceSheetId: tab.sheetId, newSheetName: operation.title };
+                if (operation.index !== undefined) request.insertSheetIndex = operation.index;
+                requests.push({ duplicateSheet: request });
+            } else if (op === 'copy') {
+                const properties = { title: operation.title || tab.title };
+                if (operation.index !== undefined) properties.index = operation.index;
+                requests.push(update(tab.sheetId, properties, Object.keys(properties).join(',')));
+                tab.title = properties.title;
+            } else if (op === 'rename') {
+                requests.push(update(tab.sheetId, { title: operation.title }, 'title'));
+                tab.title = operation.title;
+            } else if (op === 'delete') {
+                requests.push({ deleteSheet: { sheetId: tab.sheetId } });
+                tabs.splice(tabs.indexOf(tab), 1);
+            } else if (op === 'hide' || op === 'show') {
+                requests.push(update(tab.sheetId, { hidden: op === 'hide' }, 'hidden'));
+            } else if (op === 'move') {
+                requests.push(update(tab.sheetId, { index: operation.index }, 'index'));
+            } else if (op === 'freeze') {
+                const gridProperties = {};
+                ['frozenRowCount', 'frozenColumnCount'].forEach(key => {
+                    if (operation[key] !== undefined) gridProperties[key] = operation[key];
+                });
+                const fields = Object.keys(gridProperties).map(key => `gridProperties.${key}`).join(',');
+                requests.push(update(tab.sheetId, { gridProperties }, fields));
+            }
+        });
+        
+        return { requests, targets };
+    }
+    
+    /**
+     * Describe the outcome of each tab operation
+     * @param {Array<Object>} operations - Operations passed to planSheetRequests
+     * @param {Array<Object|null>} targets - Targets returned by planSheetRequests
+     * @param {Object} responseData - batchUpdate response, with one reply per request
+     * @returns {Array<{op: string, sheetId: number, title: string}>} The new tab for add and duplicate, the changed tab otherwise
+     */
+    sheetResults(operations, targets, responseData) {
+        const replies = responseData.replies || [];
+        return operations.map((operation, i) => {
+            const reply = replies[i] || {};
+            const created = reply.addSheet || reply.duplicateSheet;
+            if (created) {
+                return { op: operation.op, sheetId: created.properties.sheetId, title: created.properties.title };
+            }
+            const target = targets[i] || {};
+            const renamed = (operation.op === 'rename' || operation.op === 'copy') && operation.title;
+            return { op: operation.op, sheetId: target.sheetId, title: renamed || target.title };
+        });
+    }
+    
+    /**
+     * Build the resource for spreadsheets.create
+     * Tabs with headers get them written to their first row
+     * @param {Object} spec - Validated {title, locale, timeZone, sheets}; sheets are titles or {title, headers, ...} objects
+     * @returns {Object} Spreadsheet resource
+     */
+    buildSpreadsheet(spec) {
+        const properties = { title: spec.title };
+        if (spec.locale) properties.locale = spec.locale;
+        if (spec.timeZone) properties.timeZone = spec.timeZone;
+        
+        const resource = { properties };
+        if (spec.sheets && spec.sheets.length > 0) {
+            resource.sheets = spec.sheets.map(entry => {
+                const tab = typeof entry === 'string' ? { title: entry } : entry;
+                const sheet = { properties: this._newSheetProperties(tab) };
+                if (tab.headers && tab.headers.length > 0) {
+                    const values = tab.headers.map(header => ({ userEnteredValue: this._extendedValue(header) }));
+                    sheet.data = [{ startRow: 0, startColumn: 0, rowData: [{ values }] }];
+                }
+                return sheet;
+            });
+        }
+        return resource;
+    }
+    
+    /**
+     * Wrap a value as an API ExtendedValue
+     * @param {*} value - Number, boolean or anything else, which is written as text
+     * @returns {Object} ExtendedValue
+     * @private
+     */
+    _extendedValue(value) {
+        if (typeof value === 'number') return { numberValue: value };
+        if (typeof value === 'boolean') return { boolValue: value };
+        return { stringValue: value === null || value === undefined ? '' : String(value) };
+    }
+    
+    /**
+     * Properties of a tab to add
+     * @param {Object} operation - Add operation
+     * @returns {Object} Sheet properties with only the settings given
+     * @private
+     */
+    _newSheetProperties(operation) {
+        const properties = { title: operation.title };
+        if (operation.index !== undefined) properties.index = operation.index;
+        if (operation.hidden !== undefined) properties.hidden = operation.hidden;
+        
+        const gridProperties = {};
+        ['rowCount', 'columnCount', 'frozenRowCount', 'frozenColumnCount'].forEach(key => {
+            if (operation[key] !== undefined) gridProperties[key] = operation[key];
+        });
+        if (Object.keys(gridProperties).length > 0) properties.gridProperties = gridProperties;
+        return properties;
+    }
+    
+    /**
+     * Convert a gviz data table to a 2D values array like values.get returns
+     * Cells use the formatted value when Google provides one
+     * @param {Object} table - gviz table with cols and rows
+     * @param {boolean} includeHeader - Prepend the column labels as the first row
+     * @returns {Array<Array>} 2D array of values
+     */
+    gvizTableToValues(table, includeHeader) {
+        const cols = table.cols || [];
+        const values = (table.rows || []).map(row => cols.map((col, i) => {
+            const cell = row.c && row.c[i];
+            if (!cell) return '';
+            if (cell.f !== undefined && cell.f !== null) return cell.f;
+            return cell.v === null || cell.v === undefined ? '' : cell.v;
+        }));
+        
+        if (includeHeader) {
+            values.unshift(cols.map(col => col.label || col.id));
+        }
+        return values;
+    }
+    
+    /**
+     * Build the batchUpdate requests that make room for rows inserted at a position
+     * Inserted rows take the formats of the row below, or of the copied row. Copying pastes the row's formats,
+     * and its formulas with their references moved; its constant values are not copied. The written values then
+     * replace the cells they cover
+     * @param {number} sheetId - ID of the sheet
+     * @param {number} row - 1-based row the first new row goes to
+     * @param {number} count - Number of rows to insert
+     * @param {string} [copyFrom] - above or below: the row to copy into the new rows
+     * @param {Array<*>} [source] - Cells of the copied row, read with the FORMULA render option
+     * @returns {Array<Object>} insertDimension request, and copyPaste requests when copying
+     */
+    insertRowsRequests(sheetId, row, count, copyFrom, source = []) {
+        const cells = (start, end, columns) => ({ sheetId, startRowIndex: start, endRowIndex: end, ...columns });
+        const requests = [{
+            insertDimension: {
+                range: { sheetId, dimension: 'ROWS', startIndex: row - 1, endIndex: row - 1 + count },
+                inheritFromBefore: copyFrom === 'above'
+            }
+        }];
+        
+        if (copyFrom) {
+            // The row below has moved down by count
+            const from = copyFrom === 'above' ? row - 2 : row - 1 + count;
+            const paste = (pasteType, columns) => ({ copyPaste: {
+                source: cells(from, from + 1, columns),
+                destination: cells(row - 1, row - 1 + count, columns),
+                pasteType
+            } });
+            requests.push(paste('PASTE_FORMAT'));
+            
+            // Formulas are pasted one run of adjacent formula cells at a time, so no constant is pasted with them
+            const isFormula = (cell) => typeof cell === 'string' && cell.startsWith('=');
+            source.forEach((cell, col) => {
+                if (isFormula(cell) && !isFormula(source[col - 1])) {
+                    let end = col + 1;
+                    while (isFormula(source[end])) end++;
+                    requests.push(paste('PASTE_FORMULA', { startColumnIndex: col, endColumnIndex: end }));
+                }
+            });
+        }
+        return requests;
+    }
+    
+    /**
+     * Build the batchUpdate requests that format the cells of a write
+     * `all` and `columns` cover the rows just written; `cells` and conditional rule ranges are taken as given,
+     * on the written tab unless they name another. A conditional rule with the same ranges and condition as one
+     * already on the tab replaces it, so writing again does not stack copies
+     * @param {Object} format - Validated {all, columns, cells, conditional} block
+     * @param {Object} written - Written range, as from transformWriteResponse
+     * @param {Array<Object>} sheets - Sheets of the spreadsheet with their properties and conditionalFormats
+     * @returns {Array<Object>} repeatCell, addConditionalFormatRule and updateConditionalFormatRule requests
+     */
+    formatRequests(format, written, sheets) {
+        const findSheet = (title) => {
+            const sheet = title ? sheets.find(entry => entry.properties.title === title) : sheets[0];
+            if (!sheet) {
+                throw new Error(`Sheet "${title}" not found`);
+            }
+            return sheet;
+        };
+        const target = (range) => {
+            const parsed = typeof range === 'string' ? a1.parseRange(range) : range;
+            return a1.toGridRange(parsed, findSheet(parsed.sheet || written.sheet).properties.sheetId);
+        };
+        const requests = [];
+        const repeat = (range, cellFormat) => {
+            const { format: userEnteredFormat, fields } = this._cellFormat(cellFormat);
+            requests.push({ repeatCell: { range: target(range), cell: { userEnteredFormat }, fields } });
+        };
+        
+        const rows = { sheet: written.sheet, startRow: written.startRow, endRow: written.endRow };
+        if (format.all) {
+            repeat({ ...rows, startCol: written.startCol, endCol: written.endCol }, format.all);
+        }
+        Object.entries(format.columns || {}).forEach(([letter, cellFormat]) => {
+            const column = a1.letterToColumn(letter.toUpperCase());
+            repeat({ ...rows, startCol: column, endCol: column }, cellFormat);
+        });
+        Object.entries(format.cells || {}).forEach(([range, cellFormat]) => repeat(range, cellFormat));
+        
+        // New rules go after the tab's existing ones, so the indexes of rules being replaced stay put
+        const added = new Map();
+        for (const spec of format.conditional || []) {
+            const range = target(spec.range);
+            const sheet = sheets.find(entry => (entry.properties.sheetId || 0) === (range.sheetId || 0));
+            const rule = this._conditionalRule(spec, range);
+            const existing = (sheet.conditionalFormats || []).map(entry => this._ruleKey(entry));
+            const index = existing.indexOf(this._ruleKey(rule));
+            if (index === -1) {
+                const count = added.get(sheet) || 0;
+                requests.push({ addConditionalFormatRule: { rule, index: existing.length + count } });
+                added.set(sheet, count + 1);
+            } else {
+                requests.push({ updateConditionalFormatRule: { sheetId: range.sheetId, index, rule } });
+            }
+        }
+        return requests;
+    }
+    
+    /**
+     * Convert a cell format of a write to an API CellFormat and the field mask of what it sets
+     * @param {Object} spec - {numberFormat, bold, italic, color, background, align, verticalAlign, wrap}
+     * @returns {{format: Object, fields: string}} CellFormat and its userEnteredFormat field mask
+     * @private
+     */
+    _cellFormat(spec) {
+        const format = {};
+        const fields = [];
+        const set = (path, value) => {
+            const keys = path.split('.');
+            const last = keys.pop();
+            const parent = keys.reduce((current, key) => (current[key] = current[key] || {}), format);
+            parent[last] = value;
+            fields.push(`userEnteredFormat.${path}`);
+        };
+        
+        if (spec.numberFormat !== undefined) {
+            const numberFormat = typeof spec.numberFormat === 'string'
+                ? (NUMBER_FORMAT_TYPES.includes(spec.numberFormat) ? { type: spec.numberFormat } : { pattern: spec.numberFormat })
+                : spec.numberFormat;
+            set('numberFormat', { type: numberFormat.type || 'NUMBER', ...(numberFormat.pattern ? { pattern: numberFormat.pattern } : {}) });
+        }
+        if (spec.bold !== undefined) set('textFormat.bold', spec.bold);
+        if (spec.italic !== undefined) set('textFormat.italic', spec.italic);
+        if (spec.color !== undefined) set('textFormat.foregroundColor', this._color(spec.color));
+        if (spec.background !== undefined) set('backgroundColor', this._color(spec.background));
+        if (spec.align !== undefined) set('horizontalAlignment', spec.align.toUpperCase());
+        if (spec.verticalAlign !== undefined) set('verticalAlignment', spec.verticalAlign.toUpperCase());
+        if (spec.wrap !== undefined) set('wrapStrategy', WRAP_STRATEGIES[spec.wrap]);
+        
+        return { format, fields: fields.join(',') };
+    }
+    
+    /**
+     * Convert a hex color to an API Color
+     * @param {string} hex - "#rgb" or "#rrggbb"
+     * @returns {{red: number, green: number, blue: number}} Channels from 0 to 1
+     * @private
+     */
+    _color(hex) {
+        const digits = hex.length === 4 ? hex.slice(1).split('').map(digit => digit + digit) : hex.slice(1).match(/../g);
+        const [red, green, blue] = digits.map(pair => Math.round(parseInt(pair, 16) / 255 * 1000) / 1000);
+        return { red, green, blue };
+    }
+    
+    /**
+     * Convert a declarative rule to an API ConditionalFormatRule
+     * @param {Object} spec - {range, when, value, values, formula, format}
+     * @param {Object} range - GridRange of the rule
+     * @returns {Object} Boolean rule on the range
+     * @private
+     */
+    _conditionalRule(spec, range) {
+        const values = spec.formula !== undefined ? [spec.formula] : (spec.values !== undefined ? spec.values : (spec.value !== undefined ? [spec.value] : []));
+        const condition = { type: spec.formula !== undefined ? 'CUSTOM_FORMULA' : spec.when };
+        if (values.length > 0) {
+            condition.values = values.map(value => ({ userEnteredValue: String(value) }));
+        }
+        return { ranges: [range], booleanRule: { condition, format: this._cellFormat(spec.format).format } };
+    }
+    
+    /**
+     * Identify a conditional format rule by its ranges and condition
+     * The API leaves out zero indexes and sheetId 0, so bounds are filled in before comparing
+     * @param {Object} rule - ConditionalFormatRule
+     * @returns {string} Key equal for rules on the same cells with the same condition
+     * @private
+     */
+    _ruleKey(rule) {
+        const bound = (value) => (value === undefined ? null : value);
+        const ranges = (rule.ranges || []).map(range => [
+            range.sheetId || 0, range.startRowIndex || 0, bound(range.endRowIndex), range.startColumnIndex || 0, bound(range.endColumnIndex)
+        ]);
+        const condition = (rule.booleanRule && rule.booleanRule.condition) || {};
+        return JSON.stringify([ranges, condition.type, (condition.values || []).map(value => value.userEnteredValue)]);
+    }
+    
+    /**
+     * Describe the cells changed by a write
+     * Append responses nest the details under updates; update and batchUpdate responses carry them directly
+     * @param {Object} responseData - Response of values.update, values.append or one values.batchUpdate entry
+     * @param {string} fallback - Requested range, used when the response has no range
+     * @returns {Object} Written range, its sheet and 1-based bounds, update counts, and values when returned
+     */
+    transformWriteResponse(responseData, fallback) {
+        const update = (responseData && responseData.updates) || responseData || {};
+        const range = update.updatedRange || fallback;
+        const { sheet, startRow, endRow, startCol, endCol } = a1.parseRange(range);
+        
+        const result = {
+            range,
+            sheet,
+            startRow,
+            endRow,
+            startCol,
+            endCol,
+            updatedRows: update.updatedRows || 0,
+            updatedColumns: update.updatedColumns || 0,
+            updatedCells: update.updatedCells || 0
+        };
+        if (update.updatedData) {
+            result.values = update.updatedData.values || [];
+        }
+        return result;
+    }
+    
     /**
      * Transform cell response to get a specific cell value by row and column labels
      * @param {Array<Array>} values - 2D array with headers
@@ -338,23 +1413,36 @@ class DataTransformer {
      * @returns {string|number} Cell value or "Not found"
      */
     transformCellResponse(values, cell_l, cell_c) {
-        if (!values || values.length === 0) return 'Not found';
+        const position = this.locateCell(values, cell_l, cell_c);
+        if (!position) return 'Not found';
         
-        // First row contains column headers
-        const headerRow = values[0];
-        const colIndex = headerRow.indexOf(cell_c);
+        const cellValue = values[position.rowIndex][position.colIndex];
+        return cellValue !== undefined && cellValue !== '' ? cellValue : 'Not found';
+    }
+    
+    /**
+     * Find the position of a cell by row and column labels
+     * The first row holds column labels and the first column holds row labels
+     * @param {Array<Array>} values - 2D array with headers
+     * @param {string} cell_l - Row label (line)
+     * @param {string} cell_c - Column label
+     * @returns {{rowIndex: number, colIndex: number}|null} 0-based indexes into values, or null if not found
+     */
+    locateCell(values, cell_l, cell_c) {
+        if (!values || values.length === 0) return null;
         
-        if (colIndex === -1) return 'Not found';
+        // First row contains column headers
+        const colIndex = values[0].indexOf(cell_c);
+        if (colIndex === -1) return null;
         
         // Find the row with matching row label (first column)
         for (let i = 1; i < values.length; i++) {
             if (values[i][0] === cell_l) {
-                const cellValue = values[i][colIndex];
-                return cellValue !== undefined && cellValue !== '' ? cellValue : 'Not found';
+                return { rowIndex: i, colIndex };
             }
         }
         
-        return 'Not found';
+        return null;
     }
 }
 
@@ -45,7 +45,7 @@ class ErrorHandler {
         }
         
         if (message.includes('429') || message.includes('RATE_LIMIT')) {
-            return 'Rate limit exceeded: Too many requests. Please slow down your operations.';
+            return 'Rate limit exceeded: Too many requests. Increase retries on the node or slow down your operations.';
         }
         
         if (message.includes('Invalid spreadsheet ID')) {
@@ -0,0 +1,121 @@
+/**
+ * Token bucket rate limiter with a FIFO wait queue
+ * Requests beyond the budget wait for a token instead of failing
+ */
+class RateLimiter {
+    /**
+     * Create a rate limiter
+     * @param {Object} [options] - Limiter options
+     * @param {number} [options.perMinute=0] - Requests allowed per minute (0 = unlimited)
+     * @param {number} [options.burst] - Bucket size, i.e. requests allowed at once (default: perMinute)
+     */
+    constructor(options = {}) {
+        this.perMinute = options.perMinute || 0;
+        this.capacity = options.burst || this.perMinute;
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.queue = [];
+        this.timer = null;
+    }
+
+    /**
+     * Number of requests waiting for a token
+     * @returns {number} Queue depth
+     */
+    get queueDepth() {
+        return this.queue.length;
+    }
+
+    /**
+     * Wait for a token
+     * @param {Function} [onQueue] - Called with (queueDepth, estimatedWait) if the request has to wait
+     * @returns {Promise<number>} Resolves with the time spent waiting in milliseconds
+     */
+    acquire(onQueue) {
+        if (!this.perMinute) return Promise.resolve(0);
+
+        this._refill();
+        if (this.queue.length === 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            return Promise.resolve(0);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({ resolve, reject, queuedAt: Date.now() });
+            this._schedule();
+            if (onQueue) {
+                onQueue(this.queue.length, this.estimateWait());
+            }
+        });
+    }
+
+    /**
+     * Estimate how long the last queued request will wait
+     * @returns {number} Estimated wait in milliseconds
+     */
+    estimateWait() {
+        if (!this.perMinute) return 0;
+
+        this._refill();
+        const missing = this.queue.length - this.tokens;
+        return missing > 0 ? Math.ceil(missing * 60000 / this.perMinute) : 0;
+    }
+
+    /**
+     * Stop the limiter and reject every queued request
+     */
+    close() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        const pending = this.queue;
+        this.queue = [];
+        for (const entry of pending) {
+            entry.reject(new Error('Rate limiter closed'));
+        }
+    }
+
+    /**
+     * Add tokens earned since the last refill
+     * @private
+     */
+    _refill() {
+        const now = Date.now();
+        const earned = (now - this.lastRefill) * this.perMinute / 60000;
+        this.tokens = Math.min(this.capacity, this.tokens + earned);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Schedule the queue to drain when the next token is available
+     * @private
+     */
+    _schedule() {
+        if (this.timer) return;
+
+        const wait = Math.max(0, Math.ceil((1 - this.tokens) * 60000 / this.perMinute));
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._drain();
+        }, wait);
+    }
+
+    /**
+     * Release queued requests while tokens are available
+     * @private
+     */
+    _drain() {
+        this._refill();
+        while (this.queue.length > 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            const entry = this.queue.shift();
+            entry.resolve(Date.now() - entry.queuedAt);
+        }
+        if (this.queue.length > 0) {
+            this._schedule();
+        }
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,112 @@
+/**
+ * Retry policy for transient Google Sheets API failures
+ * Retries rate limit (429) and server (5xx) errors with jittered exponential backoff.
+ * A 5xx may come back after a write was applied, so calls that are not idempotent only retry 429
+ */
+class RetryPolicy {
+    /**
+     * Create a retry policy
+     * @param {Object} [options] - Retry options
+     * @param {number} [options.maxRetries=0] - Maximum retries after the first attempt (0 = no retries)
+     * @param {number} [options.baseDelay=1000] - Delay before the first retry in milliseconds
+     * @param {number} [options.maxDelay=32000] - Upper bound for a single backoff delay in milliseconds
+     * @param {number} [options.deadline=0] - Maximum total time for all attempts in milliseconds (0 = no deadline)
+     */
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries || 0;
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000;
+        this.maxDelay = options.maxDelay || 32000;
+        this.deadline = options.deadline || 0;
+    }
+
+    /**
+     * Run an async operation, retrying transient failures
+     * @param {Function} operation - Async function to run
+     * @param {Function} [onRetry] - Called before each retry with (retryNumber, delay, error)
+     * @param {boolean} [idempotent=true] - False for calls that must not run twice, which then only retry 429
+     * @returns {Promise<*>} Result of the operation
+     */
+    async execute(operation, onRetry, idempotent = true) {
+        const start = Date.now();
+
+        for (let retry = 0; ; retry++) {
+            try {
+                return await operation();
+            } catch (err) {
+                if (retry >= this.maxRetries || !RetryPolicy.isRetryable(err, idempotent)) {
+                    throw err;
+                }
+
+                const delay = this.getDelay(retry, err);
+                if (this.deadline && (Date.now() - start) + delay > this.deadline) {
+                    throw err;
+                }
+
+                if (onRetry) {
+                    onRetry(retry + 1, delay, err);
+                }
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Compute the delay before a retry
+     * Uses the server's Retry-After when present, otherwise exponential backoff with jitter
+     * @param {number} retry - 0-based retry number
+     * @param {Error} err - Error that triggered the retry
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(retry, err) {
+        if (err && typeof err.retryAfter === 'number' && err.retryAfter >= 0) {
+            return err.retryAfter;
+        }
+
+        const backoff = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, retry));
+        // Equal jitter: half fixed, half random, so concurrent callers spread out
+        return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    }
+
+    /**
+     * Wait for a number of milliseconds
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Check whether an error is worth retrying
+     * @param {Error} err - Error from GoogleSheetsService
+     * @param {boolean} [idempotent=true] - False if the call may have been applied despite a server error
+     * @returns {boolean} True for rate limit (429) errors, and server (5xx) errors of idempotent calls
+     */
+    static isRetryable(err, idempotent = true) {
+        if (!err) return false;
+        const status = err.statusCode || (typeof err.code === 'number' ? err.code : undefined);
+        return status === 429 || (idempotent && status >= 500 && status < 600);
+    }
+
+    /**
+     * Parse a Retry-After header value
+     * @param {string|number} value - Seconds or an HTTP date
+     * @returns {number|undefined} Delay in milliseconds, or undefined if not parsable
+     */
+    static parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') return undefined;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+        return undefined;
+    }
+}
+
+module.exports = RetryPolicy;
@@ -3,6 +3,8 @@
  * Provides validation for spreadsheet IDs, ranges, and other inputs
  */
 
+const a1 = require('./a1');
+
 /**
  * Validate spreadsheet ID format
  * @param {string} spreadsheetId - The spreadsheet ID to validate
@@ -46,36 +48,550 @@ function validateRange(range) {
         return { valid: false, error: 'Range must be a string' };
     }
     
-    // Basic validation: should at least have a sheet name or A1 notation
     // Valid formats:
     // - "Sheet1" (entire sheet)
+    // - "Totals" (named range, looked up in the spreadsheet when the range is used)
     // - "Sheet1!A1" (single cell)
     // - "Sheet1!A1:B10" (cell range)
     // - "Sheet1!A:D" (column range)
-    // - "Sheet1!A:A" (single column)
     // - "Sheet1!1:10" (row range)
+    // - "Sheet1!A2:D" (open ended range)
+    // - "'My Sheet'!a1:b10" (quoted sheet name, lower case columns)
     // - "A1:B10" (range on default sheet)
+    // - "Sheet1!{Email}" (columns by header name, checked against the header row when the range is used)
+    const trimmed = (a1.hasHeaderRefs(range) ? a1.resolveHeaderRefs(range, () => 1) : range).trim();
+    if (a1.isBareName(trimmed)) {
+        return { valid: true, error: null };
+    }
+    
+    // A quoted sheet name may contain "!", an unquoted one may not
+    if (!trimmed.startsWith("'") && trimmed.split('!').length > 2) {
+        return { valid: false, error: 'Invalid range format. Use format: SheetName!A1:B10' };
+    }
+    
+    const { sheet } = a1.splitSheet(trimmed);
+    if (trimmed.includes('!') && (!sheet || sheet.trim() === '')) {
+        return { valid: false, error: 'Sheet name cannot be empty' };
+    }
+    
+    try {
+        a1.parseRange(trimmed);
+    } catch (err) {
+        return { valid: false, error: 'Invalid cell range format. Use A1 notation (e.g., A1:B10, A:D, 1:10)' };
+    }
     
-    // Pattern to match A1 notation including column/row ranges
-    // Matches: A1, A1:B10, A:D, A:A, 1:10, etc.
-    const cellPattern = /^([A-Z]+[0-9]+|[A-Z]+:[A-Z]+|[0-9]+:[0-9]+|[A-Z]+[0-9]+:[A-Z]+[0-9]+)$/;
+    return { valid: true, error: null };
+}
+
+/**
+ * Validate a list of ranges for a multi-range read
+ * @param {Array<string>|Object<string, string>} ranges - Array of ranges, or map of name to range
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateRanges(ranges) {
+    if (!ranges || typeof ranges !== 'object') {
+        return { valid: false, error: 'Ranges must be an array of ranges or an object of name: range' };
+    }
     
-    // If it contains !, validate sheet name and cell reference
-    if (range.includes('!')) {
-        const parts = range.split('!');
-        if (parts.length !== 2) {
-            return { valid: false, error: 'Invalid range format. Use format: SheetName!A1:B10' };
+    const entries = Array.isArray(ranges) ? ranges.map(range => [range, range]) : Object.entries(ranges);
+    if (entries.length === 0) {
+        return { valid: false, error: 'At least one range is required' };
+    }
+    
+    for (const [name, range] of entries) {
+        const result = validateRange(range);
+        if (!result.valid) {
+            return { valid: false, error: `Range "${name}": ${result.error}` };
+        }
+    }
+    
+    return { valid: true, error: null };
+}
+
+/**
+ * Validate the entries of a multi-range write
+ * @param {Array<{range: string, values: *, objects: *}>} entries - One entry per range to write
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateBatchData(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return { valid: false, error: 'Input must be a non-empty array of {range, values} entries' };
+    }
+    
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (!entry || typeof entry !== 'object') {
+            return { valid: false, error: `Entry ${i}: must be an object with range and values` };
         }
         
-        const [sheetName, cellRange] = parts;
+        const result = validateRange(entry.range);
+        if (!result.valid) {
+            return { valid: false, error: `Entry ${i}: ${result.error}` };
+        }
         
-        if (!sheetName || sheetName.trim() === '') {
-            return { valid: false, error: 'Sheet name cannot be empty' };
+        const input = entry.values !== undefined ? entry.values : entry.objects;
+        if (input === undefined || input === null) {
+            return { valid: false, error: `Entry ${i}: values or objects are required` };
+        }
+    }
+    
+    return { valid: true, error: null };
+}
+
+// Operators accepted in query where clauses
+const QUERY_OPERATORS = ['eq', 'ne', 'contains', 'gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Validate a read query spec
+ * @param {Object} query - Query with where, sort, limit and offset
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateQuery(query) {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        return { valid: false, error: 'Query must be an object with where, sort, limit or offset' };
+    }
+    
+    const unknown = Object.keys(query).filter(key => !['where', 'sort', 'limit', 'offset'].includes(key));
+    if (unknown.length > 0) {
+        return { valid: false, error: `Unknown query property "${unknown[0]}"` };
+    }
+    
+    if (query.where !== undefined) {
+        const error = validateWhere(query.where);
+        if (error) return { valid: false, error };
+    }
+    
+    if (query.sort !== undefined) {
+        const sort = Array.isArray(query.sort) ? query.sort : [query.sort];
+        if (sort.length === 0 || sort.some(key => typeof key !== 'string' || key.replace(/^-/, '') === '')) {
+            return { valid: false, error: 'Query sort must be a column name or an array of column names (prefix "-" for descending)' };
+        }
+    }
+    
+    for (const key of ['limit', 'offset']) {
+        if (query[key] !== undefined && (!Number.isInteger(query[key]) || query[key] < 0)) {
+            return { valid: false, error: `Query ${key} must be a non-negative integer` };
+        }
+    }
+    
+    return { valid: true, error: null };
+}
+
+/**
+ * Check a where clause recursively
+ * @param {Object} where - Column conditions, or {and: [...]} / {or: [...]}
+ * @returns {string|null} Error message, or null if valid
+ * @private
+ */
+function validateWhere(where) {
+    if (!where || typeof where !== 'object' || Array.isArray(where)) {
+        return 'Query where must be an object of column conditions';
+    }
+    
+    for (const [key, condition] of Object.entries(where)) {
+        if (key === 'and' || key === 'or') {
+            if (!Array.isArray(condition) || condition.length === 0) {
+                return `Query "${key}" must be a non-empty array of conditions`;
+            }
+            for (const clause of condition) {
+                const error = validateWhere(clause);
+                if (error) return error;
+            }
+        } else if (condition !== null && typeof condition === 'object') {
+            const op = Object.keys(condition).find(name => !QUERY_OPERATORS.includes(name));
+            if (op !== undefined || Object.keys(condition).length === 0) {
+                return `Unknown query operator "${op || ''}" for column "${key}". Use one of: ${QUERY_OPERATORS.join(', ')}`;
+            }
+        }
+    }
+    return null;
+}
+
+// Render options accepted by values.get and values.batchGet
+const VALUE_RENDER_OPTIONS = ['FORMATTED_VALUE', 'UNFORMATTED_VALUE', 'FORMULA'];
+const DATE_TIME_RENDER_OPTIONS = ['SERIAL_NUMBER', 'FORMATTED_STRING'];
+
+/**
+ * Validate read render options
+ * @param {Object} options - Render options
+ * @param {string} [options.valueRenderOption] - FORMATTED_VALUE, UNFORMATTED_VALUE or FORMULA
+ * @param {string} [options.dateTimeRenderOption] - SERIAL_NUMBER or FORMATTED_STRING
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateRenderOptions(options) {
+    const { valueRenderOption, dateTimeRenderOption } = options;
+    
+    if (valueRenderOption && !VALUE_RENDER_OPTIONS.includes(valueRenderOption)) {
+        return { valid: false, error: `Invalid value render option "${valueRenderOption}". Use one of: ${VALUE_RENDER_OPTIONS.join(', ')}` };
+    }
+    
+    if (dateTimeRenderOption && !DATE_TIME_RENDER_OPTIONS.includes(dateTimeRenderOption)) {
+        return { valid: false, error: `Invalid date/time render option "${dateTimeRenderOption}". Use one of: ${DATE_TIME_RENDER_OPTIONS.join(', ')}` };
+    }
+    
+    return { valid: true, error: null };
+}
+
+// Write options accepted by values.update, values.append and values.batchUpdate
+const VALUE_INPUT_OPTIONS = ['RAW', 'USER_ENTERED'];
+const INSERT_DATA_OPTIONS = ['OVERWRITE', 'INSERT_ROWS'];
+const COPY_FROM_OPTIONS = ['above', 'below'];
+
+/**
+ * Validate write options
+ * @param {Object} options - Write options
+ * @param {string} [options.valueInputOption] - RAW or USER_ENTERED
+ * @param {string} [options.insertDataOption] - OVERWRITE or INSERT_ROWS
+ * @param {number} [options.insertRow] - Row to insert at (for insert)
+ * @param {string} [options.copyFrom] - above or below: row whose formulas and formats inserted rows copy
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateWriteOptions(options) {
+    const { valueInputOption, insertDataOption, insertRow, copyFrom } = options;
+    
+    if (valueInputOption && !VALUE_INPUT_OPTIONS.includes(valueInputOption)) {
+        return { valid: false, error: `Invalid value input option "${valueInputOption}". Use one of: ${VALUE_INPUT_OPTIONS.join(', ')}` };
+    }
+    
+    if (insertDataOption && !INSERT_DATA_OPTIONS.includes(insertDataOption)) {
+        return { valid: false, error: `Invalid insert data option "${insertDataOption}". Use one of: ${INSERT_DATA_OPTIONS.join(', ')}` };
+    }
+    
+    if (insertRow !== undefined && (!Number.isInteger(insertRow) || insertRow < 1)) {
+        return { valid: false, error: 'Insert row must be a whole number from 1' };
+    }
+    
+    if (copyFrom && !COPY_FROM_OPTIONS.includes(copyFrom)) {
+        return { valid: false, error: `Invalid copy from option "${copyFrom}". Use one of: ${COPY_FROM_OPTIONS.join(', ')}` };
+    }
+    
+    if (copyFrom === 'above' && insertRow === 1) {
+        return { valid: false, error: 'Rows inserted at row 1 have no row above to copy' };
+    }
+    
+    return { valid: true, error: null };
+}
+
+// Column types a schema can coerce to, and the properties of a column spec
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'json'];
+const SCHEMA_PROPERTIES = ['type', 'default', 'required', 'maxLength', 'enum', 'pattern'];
+
+/**
+ * Validate a read or write schema
+ * @param {Object|Array} schema - Column name to type or spec, or an ordered array of specs with a name (or bare names)
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateSchema(schema) {
+    const empty = !schema || typeof schema !== 'object' || (Array.isArray(schema) ? schema.length : Object.keys(schema).length) === 0;
+    if (empty) {
+        return { valid: false, error: 'Schema must be an object of column name: type, or an array of columns' };
+    }
+    
+    const columns = Array.isArray(schema)
+        ? schema.map(entry => (typeof entry === 'string' ? [entry, {}] : [entry && entry.name, entry]))
+        : Object.entries(schema).map(([column, definition]) => [column, typeof definition === 'string' ? { type: definition } : definition]);
+    
+    for (const [column, spec] of columns) {
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            return { valid: false, error: `Schema column "${column}" must be a type or an object with type, default and required` };
+        }
+        if (typeof column !== 'string' || column === '') {
+            return { valid: false, error: 'Schema columns in an array need a name' };
+        }
+        
+        const unknown = Object.keys(spec).find(key => !SCHEMA_PROPERTIES.includes(key) && !(Array.isArray(schema) && key === 'name'));
+        if (unknown) {
+            return { valid: false, error: `Unknown schema property "${unknown}" for column "${column}"` };
+        }
+        
+        if (spec.type !== undefined && !SCHEMA_TYPES.includes(spec.type)) {
+            return { valid: false, error: `Invalid type "${spec.type}" for column "${column}". Use one of: ${SCHEMA_TYPES.join(', ')}` };
+        }
+        
+        if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+            return { valid: false, error: `Schema required for column "${column}" must be true or false` };
+        }
+        
+        if (spec.maxLength !== undefined && (!Number.isInteger(spec.maxLength) || spec.maxLength < 0)) {
+            return { valid: false, error: `Schema maxLength for column "${column}" must be a non-negative integer` };
         }
         
-        // Cell range is optional (can just specify sheet name)
-        if (cellRange && cellRange.trim() !== '' && !cellPattern.test(cellRange)) {
-            return { valid: false, error: 'Invalid cell range format. Use A1 notation (e.g., A1:B10, A:D, 1:10)' };
+        if (spec.enum !== undefined && (!Array.isArray(spec.enum) || spec.enum.length === 0)) {
+            return { valid: false, error: `Schema enum for column "${column}" must be a non-empty array of allowed values` };
+        }
+        
+        if (spec.pattern !== undefined) {
+            try {
+                new RegExp(spec.pattern);
+            } catch (err) {
+                return { valid: false, error: `Schema pattern for column "${column}" is not a valid regular expression` };
+            }
+        }
+    }
+    
+    return { valid: true, error: null };
+}
+
+// Tab operations of the sheets action; list takes no input
+const SHEET_OPERATIONS = ['list', 'add', 'duplicate', 'copy', 'rename', 'delete', 'hide', 'show', 'move', 'freeze'];
+
+/**
+ * Check the optional properties of a tab to add or change
+ * @param {Object} entry - Tab properties
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkTabProperties(entry) {
+    const negative = ['index', 'frozenRowCount', 'frozenColumnCount']
+        .find(key => entry[key] !== undefined && (!Number.isInteger(entry[key]) || entry[key] < 0));
+    if (negative) {
+        return `${negative} must be a non-negative integer`;
+    }
+    
+    const size = ['rowCount', 'columnCount'].find(key => entry[key] !== undefined && (!Number.isInteger(entry[key]) || entry[key] < 1));
+    if (size) {
+        return `${size} must be a positive integer`;
+    }
+    
+    if (entry.hidden !== undefined && typeof entry.hidden !== 'boolean') {
+        return 'hidden must be true or false';
+    }
+    return null;
+}
+
+/**
+ * Validate the tab operations of a sheets action
+ * @param {Array<Object>} operations - One {op, sheet, title, index, ...} entry per tab to change
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateSheetOperations(operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return { valid: false, error: 'Input must be a tab name, an object or a non-empty array of them' };
+    }
+    
+    const changes = SHEET_OPERATIONS.filter(op => op !== 'list');
+    for (let i = 0; i < operations.length; i++) {
+        const entry = operations[i];
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return { valid: false, error: `Entry ${i}: must be a tab name or an object` };
+        }
+        
+        const { op } = entry;
+        if (!changes.includes(op)) {
+            return { valid: false, error: `Entry ${i}: invalid operation "${op}". Use one of: ${changes.join(', ')}` };
+        }
+        
+        const isSheetId = Number.isInteger(entry.sheet) && entry.sheet >= 0;
+        if (op !== 'add' && !isSheetId && (typeof entry.sheet !== 'string' || entry.sheet === '')) {
+            return { valid: false, error: `Entry ${i}: sheet must be a tab name or a sheetId` };
+        }
+        
+        if (['add', 'duplicate', 'rename'].includes(op) && (typeof entry.title !== 'string' || entry.title.trim() === '')) {
+            return { valid: false, error: `Entry ${i}: title is required to ${op} a tab` };
+        }
+        
+        if (op === 'copy' && !validateSpreadsheetId(entry.from).valid) {
+            return { valid: false, error: `Entry ${i}: from must be the ID of the template spreadsheet` };
+        }
+        
+        if (op === 'copy' && entry.title !== undefined && (typeof entry.title !== 'string' || entry.title.trim() === '')) {
+            return { valid: false, error: `Entry ${i}: title must be a non-empty string` };
+        }
+        
+        if (op === 'move' && entry.index === undefined) {
+            return { valid: false, error: `Entry ${i}: index is required to move a tab` };
+        }
+        
+        if (op === 'freeze' && entry.frozenRowCount === undefined && entry.frozenColumnCount === undefined) {
+            return { valid: false, error: `Entry ${i}: frozenRowCount or frozenColumnCount is required to freeze a tab` };
+        }
+        
+        const error = checkTabProperties(entry);
+        if (error) {
+            return { valid: false, error: `Entry ${i}: ${error}` };
+        }
+    }
+    
+    return { valid: true, error: null };
+}
+
+/**
+ * Validate the description of a spreadsheet to create
+ * @param {Object} spec - {title, locale, timeZone, sheets}; sheets are tab titles or {title, headers, ...} objects
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateNewSpreadsheet(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return { valid: false, error: 'Input must be a title or an object with title and sheets' };
+    }
+    
+    if (typeof spec.title !== 'string' || spec.title.trim() === '') {
+        return { valid: false, error: 'Spreadsheet title is required' };
+    }
+    
+    const invalid = ['locale', 'timeZone'].find(key => spec[key] !== undefined && typeof spec[key] !== 'string');
+    if (invalid) {
+        return { valid: false, error: `${invalid} must be a string` };
+    }
+    
+    if (spec.sheets !== undefined && !Array.isArray(spec.sheets)) {
+        return { valid: false, error: 'Sheets must be an array of tab titles or {title, headers} objects' };
+    }
+    
+    const titles = new Set();
+    for (let i = 0; i < (spec.sheets || []).length; i++) {
+        const tab = typeof spec.sheets[i] === 'string' ? { title: spec.sheets[i] } : spec.sheets[i];
+        if (!tab || typeof tab !== 'object' || typeof tab.title !== 'string' || tab.title.trim() === '') {
+            return { valid: false, error: `Sheet ${i}: title is required` };
+        }
+        if (titles.has(tab.title)) {
+            return { valid: false, error: `Sheet ${i}: duplicate title "${tab.title}"` };
+        }
+        titles.add(tab.title);
+        
+        if (tab.headers !== undefined && !Array.isArray(tab.headers)) {
+            return { valid: false, error: `Sheet ${i}: headers must be an array of column names` };
+        }
+        
+        const error = checkTabProperties(tab);
+        if (error) {
+            return { valid: false, error: `Sheet ${i}: ${error}` };
+        }
+    }
+    
+    return { valid: true, error: null };
+}
+
+// Cell formats of writes, and the parts conditional formats can set
+const FORMAT_PROPERTIES = ['numberFormat', 'bold', 'italic', 'color', 'background', 'align', 'verticalAlign', 'wrap'];
+const CONDITIONAL_FORMAT_PROPERTIES = ['bold', 'italic', 'color', 'background'];
+const NUMBER_FORMAT_TYPES = ['TEXT', 'NUMBER', 'PERCENT', 'CURRENCY', 'DATE', 'TIME', 'DATE_TIME', 'SCIENTIFIC'];
+const ALIGNMENTS = { align: ['left', 'center', 'right'], verticalAlign: ['top', 'middle', 'bottom'] };
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Conditions of conditional format rules, with the number of values each takes
+const CONDITION_TYPES = {
+    NUMBER_GREATER: 1, NUMBER_GREATER_THAN_EQ: 1, NUMBER_LESS: 1, NUMBER_LESS_THAN_EQ: 1, NUMBER_EQ: 1, NUMBER_NOT_EQ: 1,
+    NUMBER_BETWEEN: 2, NUMBER_NOT_BETWEEN: 2, TEXT_CONTAINS: 1, TEXT_NOT_CONTAINS: 1, TEXT_STARTS_WITH: 1, TEXT_ENDS_WITH: 1,
+    TEXT_EQ: 1, DATE_EQ: 1, DATE_BEFORE: 1, DATE_AFTER: 1, BLANK: 0, NOT_BLANK: 0
+};
+
+/**
+ * Check a cell format of a write
+ * @param {Object} format - {numberFormat, bold, italic, color, background, align, verticalAlign, wrap}
+ * @param {Array<string>} allowed - Properties the format may set
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkCellFormat(format, allowed) {
+    if (!format || typeof format !== 'object' || Array.isArray(format)) {
+        return 'format must be an object';
+    }
+    
+    const unknown = Object.keys(format).find(key => !allowed.includes(key));
+    if (unknown) {
+        return `unknown format property "${unknown}". Use: ${allowed.join(', ')}`;
+    }
+    
+    const notBoolean = ['bold', 'italic'].find(key => format[key] !== undefined && typeof format[key] !== 'boolean');
+    if (notBoolean) {
+        return `${notBoolean} must be true or false`;
+    }
+    
+    const notColor = ['color', 'background'].find(key => format[key] !== undefined && !COLOR_PATTERN.test(format[key]));
+    if (notColor) {
+        return `${notColor} must be a hex color such as "#f4cccc"`;
+    }
+    
+    const alignment = Object.keys(ALIGNMENTS).find(key => format[key] !== undefined && !ALIGNMENTS[key].includes(format[key]));
+    if (alignment) {
+        return `${alignment} must be one of: ${ALIGNMENTS[alignment].join(', ')}`;
+    }
+    
+    if (format.wrap !== undefined && typeof format.wrap !== 'boolean' && format.wrap !== 'clip') {
+        return 'wrap must be true, false or "clip"';
+    }
+    
+    const numberFormat = typeof format.numberFormat === 'string' ? { pattern: format.numberFormat } : format.numberFormat;
+    if (numberFormat !== undefined) {
+        const invalid = !numberFormat || typeof numberFormat !== 'object'
+            || (numberFormat.type !== undefined && !NUMBER_FORMAT_TYPES.includes(numberFormat.type))
+            || (numberFormat.pattern !== undefined && (typeof numberFormat.pattern !== 'string' || numberFormat.pattern === ''))
+            || (numberFormat.type === undefined && numberFormat.pattern === undefined);
+        if (invalid) {
+            return `numberFormat must be a pattern, one of ${NUMBER_FORMAT_TYPES.join(', ')}, or {type, pattern}`;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Validate the format block of a write
+ * @param {Object} format - {all, columns: {letter: format}, cells: {range: format}, conditional: [rules]}
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateFormat(format) {
+    if (!format || typeof format !== 'object' || Array.isArray(format)) {
+        return { valid: false, error: 'Format must be an object with all, columns, cells or conditional' };
+    }
+    
+    const unknown = Object.keys(format).find(key => !['all', 'columns', 'cells', 'conditional'].includes(key));
+    if (unknown) {
+        return { valid: false, error: `Unknown format section "${unknown}". Use: all, columns, cells, conditional` };
+    }
+    
+    if (format.all !== undefined) {
+        const error = checkCellFormat(format.all, FORMAT_PROPERTIES);
+        if (error) {
+            return { valid: false, error: `Format all: ${error}` };
+        }
+    }
+    
+    for (const section of ['columns', 'cells']) {
+        const entries = format[section];
+        if (entries === undefined) continue;
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            return { valid: false, error: `Format ${section} must be an object of ${section === 'columns' ? 'column letter' : 'range'}: format` };
+        }
+        
+        for (const [target, cellFormat] of Object.entries(entries)) {
+            const invalidTarget = section === 'columns' ? !/^[A-Za-z]{1,3}$/.test(target) : !validateRange(target).valid;
+            if (invalidTarget) {
+                return { valid: false, error: `Format ${section} "${target}": invalid ${section === 'columns' ? 'column letter' : 'range'}` };
+            }
+            
+            const error = checkCellFormat(cellFormat, FORMAT_PROPERTIES);
+            if (error) {
+                return { valid: false, error: `Format ${section} "${target}": ${error}` };
+            }
+        }
+    }
+    
+    if (format.conditional !== undefined && !Array.isArray(format.conditional)) {
+        return { valid: false, error: 'Format conditional must be an array of rules' };
+    }
+    
+    for (let i = 0; i < (format.conditional || []).length; i++) {
+        const rule = format.conditional[i];
+        if (!rule || typeof rule !== 'object' || !validateRange(rule.range).valid) {
+            return { valid: false, error: `Rule ${i}: a valid range is required` };
+        }
+        
+        if (rule.formula !== undefined) {
+            if (typeof rule.formula !== 'string' || !rule.formula.startsWith('=')) {
+                return { valid: false, error: `Rule ${i}: formula must start with "="` };
+            }
+        } else if (!Object.prototype.hasOwnProperty.call(CONDITION_TYPES, rule.when)) {
+            return { valid: false, error: `Rule ${i}: when must be one of: ${Object.keys(CONDITION_TYPES).join(', ')}, or give a formula` };
+        } else {
+            const values = rule.values !== undefined ? rule.values : (rule.value !== undefined ? [rule.value] : []);
+            if (!Array.isArray(values) || values.length !== CONDITION_TYPES[rule.when]) {
+                return { valid: false, error: `Rule ${i}: ${rule.when} takes ${CONDITION_TYPES[rule.when]} value(s)` };
+            }
+        }
+        
+        const error = checkCellFormat(rule.format, CONDITIONAL_FORMAT_PROPERTIES);
+        if (error) {
+            return { valid: false, error: `Rule ${i}: ${error}` };
         }
     }
     
@@ -88,20 +604,32 @@ function validateRange(range) {
  * @param {string} params.action - The action being performed
  * @param {string} params.spreadsheetId - Spreadsheet ID
  * @param {string} params.range - Range
- * @param {*} params.data - Input data (for set action)
+ * @param {Array|Object} [params.ranges] - Ranges (for multi-range reads)
+ * @param {*} params.data - Input data (for set and delete actions)
+ * @param {string} [params.method] - Write method (for set action)
+ * @param {Array<string>} [params.keys] - Key columns (for upsert)
+ * @param {string} [params.fields] - Fields setting of writes (header matches sheet headers)
+ * @param {string} [params.tq] - Query string (for gviz reads)
+ * @param {string} [params.cell_l] - Row label (for cell lookups)
+ * @param {string} [params.cell_c] - Column label (for cell lookups)
  * @returns {{valid: boolean, errors: string[]}}
  */
 function validateRequiredFields(params) {
     const errors = [];
     const { action, spreadsheetId, range, data } = params;
     
-    // Spreadsheet ID always required
-    if (!spreadsheetId) {
+    // Spreadsheet ID always required, except to create one
+    if (!spreadsheetId && action !== 'create') {
         errors.push('Spreadsheet ID is required');
     }
     
-    // Range always required
-    if (!range) {
+    // Range always required; multi-range reads need ranges instead, multi-range writes carry their own
+    // and tab operations, new spreadsheets and metadata reads work on whole tabs
+    if (action === 'multi') {
+        if (!params.ranges) {
+            errors.push('Ranges are required for multi-range reads');
+        }
+    } else if (!range && !(action === 'set' && params.method === 'multi') && !['sheets', 'create', 'metadata'].includes(action)) {
         errors.push('Range is required');
     }
     
@@ -112,8 +640,26 @@ function validateRequiredFields(params) {
         }
     }
     
-    // Cell action requires cell_l and cell_c
-    if (action === 'cell') {
+    if (action === 'delete' && (data === undefined || data === null || data === '')) {
+        errors.push('A key, list of keys or filter is required to delete rows');
+    }
+    
+    if (action === 'gviz' && (typeof params.tq !== 'string' || params.tq.trim() === '')) {
+        errors.push('Query (tq) is required for gviz reads');
+    }
+    
+    // Upsert needs the key columns that identify a row
+    if (action === 'set' && params.method === 'upsert' && (!params.keys || params.keys.length === 0)) {
+        errors.push('Key columns are required for upsert');
+    }
+    
+    // Matching sheet headers lays out objects for writes next to existing rows; other methods would write nothing
+    if (action === 'set' && params.fields === 'header' && !['append', 'update', 'insert'].includes(params.method || 'append')) {
+        errors.push('Match sheet headers only works with Append, Update and Insert at row');
+    }
+    
+    // Cell action and "set cell by labels" require cell_l and cell_c
+    if (action === 'cell' || (action === 'set' && params.method === 'cell')) {
         if (!params.cell_l) {
             errors.push('Line/row label is required for cell operation');
         }
@@ -148,6 +694,15 @@ function validateAuth(auth) {
 module.exports = {
     validateSpreadsheetId,
     validateRange,
+    validateRanges,
+    validateBatchData,
+    validateQuery,
+    validateRenderOptions,
+    validateWriteOptions,
+    validateSchema,
+    validateSheetOperations,
+    validateNewSpreadsheet,
+    validateFormat,
     validateRequiredFields,
     validateAuth
 };
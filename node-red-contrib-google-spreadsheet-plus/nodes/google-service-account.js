@@ -1,4 +1,5 @@
 const { google } = require("googleapis");
+const RateLimiter = require("../lib/utils/RateLimiter");
 
 /**
  * Node-RED module for Google Service Account authentication
@@ -12,6 +13,17 @@ module.exports = function(RED) {
         node.name = config.name;
         node.scope = config.scope;
         
+        // Read and write budgets shared by every node using this account
+        node.rateLimits = {
+            read: new RateLimiter({ perMinute: Number(config.readQuota) || 0 }),
+            write: new RateLimiter({ perMinute: Number(config.writeQuota) || 0 })
+        };
+        
+        node.on('close', () => {
+            node.rateLimits.read.close();
+            node.rateLimits.write.close();
+        });
+        
         // Parse credentials from JSON or individual fields
         node.cred = {};
         
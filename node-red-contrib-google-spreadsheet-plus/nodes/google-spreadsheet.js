@@ -1,19 +1,36 @@
 const helper = require('../lib/helpers');
+const a1 = require('../lib/a1');
 const validators = require('../lib/validators');
 const GoogleSheetsService = require('../lib/services/GoogleSheetsService');
 const CacheService = require('../lib/services/CacheService');
 const DataTransformer = require('../lib/transformers/DataTransformer');
 const NodeStatus = require('../lib/utils/NodeStatus');
 const ErrorHandler = require('../lib/utils/ErrorHandler');
+const RetryPolicy = require('../lib/utils/RetryPolicy');
+
+// Context key holding the node-level or shared cache store
+const CACHE_CONTEXT_KEY = '_googleSheetsCache';
+
+// Node context key holding named ranges and header rows when reads are cached on the message
+const LOOKUP_CONTEXT_KEY = '_googleSheetsLookups';
+
+// Tab properties read for the sheets action
+const SHEET_FIELDS = 'sheets.properties(sheetId,title,index,sheetType,hidden,tabColor,gridProperties)';
+
+// Spreadsheet properties read for the metadata action
+const METADATA_FIELDS = 'spreadsheetId,spreadsheetUrl,properties(title,locale,timeZone),namedRanges,developerMetadata,'
+    + 'sheets(properties(sheetId,title,index,sheetType,hidden,tabColor,gridProperties),protectedRanges,developerMetadata)';
+
+// Named ranges and tab titles read to tell the two apart in ranges
+const NAME_FIELDS = 'namedRanges,sheets.properties(sheetId,title)';
 
 /**
  * Node-RED module for Google Sheets operations
- * Supports get, set, clear, and cell operations with caching
+ * Supports get, multi-range get, gviz query, set, clear, delete, cell and tab operations with caching,
+ * creating spreadsheets and reading their metadata. Ranges may be named ranges
  */
 module.exports = function(RED) {
     // Initialize services (shared across all nodes)
-    const sheetsService = new GoogleSheetsService();
-    const cacheService = new CacheService();
     const dataTransformer = new DataTransformer();
     
     const register = function(config) {
@@ -21,6 +38,13 @@ module.exports = function(RED) {
         const node = this;
         const nodeStatus = new NodeStatus(node);
         
+        // Cache limits are configured per node
+        const cacheService = new CacheService({
+            ttl: (Number(config.cacheTtl) || 0) * 1000,
+            maxEntries: Number(config.cacheMaxEntries) || 0,
+            maxBytes: (Number(config.cacheMaxSize) || 0) * 1024
+        });
+        
         // Set initial status
         nodeStatus.set('MISSING_CREDENTIAL');
         
@@ -28,6 +52,15 @@ module.exports = function(RED) {
             node.auth = RED.nodes.getNode(config.auth);
             nodeStatus.clear();
         }
+        
+        // Retries are configured per node; rate limits are shared through the service account
+        const sheetsService = new GoogleSheetsService({
+            retryPolicy: new RetryPolicy({
+                maxRetries: Number(config.retries) || 0,
+                deadline: (Number(config.retryDeadline) || 0) * 1000
+            }),
+            rateLimits: node.auth ? node.auth.rateLimits : undefined
+        });
 
         this.on('input', async (data) => {
             try {
@@ -71,59 +104,240 @@ async function input(RED, node, data, config, sheetsService, cacheService, dataT
 
     const spreadsheetId = helper.getContextValue(RED, node, data, config.sheet, config.sheetType);
     const range = helper.getContextValue(RED, node, data, config.range, config.rangeType);
+    const ranges = action === 'multi' ? helper.getContextValue(RED, node, data, config.ranges, config.rangesType) : undefined;
+    const method = config.method || 'append';
+    const isBatchWrite = action === 'set' && method === 'multi';
+    // Tab operations: msg.operation overrides the node setting and the input names the tab or tabs to change
+    const sheetOp = action === 'sheets' ? (data.operation || config.sheetOp || 'list') : undefined;
+    const sheetOps = action === 'sheets' && sheetOp !== 'list'
+        ? sheetOperations(sheetOp, helper.getContextValue(RED, node, data, config.input || "payload", config.inputType))
+        : undefined;
+    // A new spreadsheet is described by the input: a title, or {title, sheets}
+    const created = action === 'create' ? helper.getContextValue(RED, node, data, config.input || "payload", config.inputType) : undefined;
+    const newSpreadsheet = typeof created === 'string' ? { title: created } : created;
     
-    // Validate spreadsheet ID
-    const idValidation = validators.validateSpreadsheetId(spreadsheetId);
+    // Validate spreadsheet ID; creating a spreadsheet needs none
+    const idValidation = action === 'create' ? { valid: true, error: null } : validators.validateSpreadsheetId(spreadsheetId);
     if (!ErrorHandler.handleValidation(node, idValidation, data, nodeStatus)) {
         nodeStatus.set('INVALID_ID');
         return;
     }
     
-    // Validate range
-    const rangeValidation = validators.validateRange(range);
+    // Validate range, or every range of a multi-range read or write, or the tab operations, or the new spreadsheet
+    let rangeValidation;
+    if (action === 'create') {
+        rangeValidation = validators.validateNewSpreadsheet(newSpreadsheet);
+    } else if (action === 'metadata') {
+        rangeValidation = { valid: true, error: null };
+    } else if (action === 'sheets') {
+        rangeValidation = sheetOps ? validators.validateSheetOperations(sheetOps) : { valid: true, error: null };
+    } else if (action === 'multi') {
+        rangeValidation = validators.validateRanges(ranges);
+    } else if (isBatchWrite) {
+        rangeValidation = validators.validateBatchData(helper.getContextValue(RED, node, data, config.input || "payload", config.inputType));
+    } else {
+        rangeValidation = validators.validateRange(range);
+    }
     if (!ErrorHandler.handleValidation(node, rangeValidation, data, nodeStatus)) {
         nodeStatus.set('INVALID_RANGE');
         return;
     }
     
-    const saveField = range.replace(/[!:'" ]/g, "_");
+    // Queries filter rows by header name
+    const query = action === 'get' ? helper.getContextValue(RED, node, data, config.query, config.queryType) : undefined;
+    const hasQuery = query !== undefined && query !== null && query !== '';
+    if (hasQuery && !ErrorHandler.handleValidation(node, validators.validateQuery(query), data, nodeStatus)) {
+        return;
+    }
 
-    const saveLoc = helper.getContextValue(RED, node, data, save, config.saveType) || {};
-    helper.setContextValue(RED, node, data, save, saveLoc, config.saveType);
+    // Schemas coerce the rows read below the header row, and check records before append, update or new writes.
+    // Rows that fail go to the error output
+    const usesSchema = action === 'get' || action === 'multi' || (action === 'set' && ['append', 'update', 'new', 'insert'].includes(method));
+    const schema = usesSchema ? helper.getContextValue(RED, node, data, config.schema, config.schemaType) : undefined;
+    const hasSchema = schema !== undefined && schema !== null && schema !== '';
+    if (hasSchema && !ErrorHandler.handleValidation(node, validators.validateSchema(schema), data, nodeStatus)) {
+        return;
+    }
+    if (hasSchema && action !== 'set' && config.direction === "column" && !hasQuery) {
+        ErrorHandler.handleValidation(node, { valid: false, error: 'Schema requires data read by line' }, data, nodeStatus);
+        return;
+    }
+
+    // Formats apply to the cells of append, update, new and insert writes, with conditional rules added to the tab
+    const usesFormat = action === 'set' && ['append', 'update', 'new', 'insert'].includes(method);
+    const format = usesFormat ? helper.getContextValue(RED, node, data, config.format, config.formatType) : undefined;
+    const hasFormat = format !== undefined && format !== null && format !== '';
+    if (hasFormat && !ErrorHandler.handleValidation(node, validators.validateFormat(format), data, nodeStatus)) {
+        return;
+    }
+
+    // Render options apply to reads; msg properties override the node settings
+    const isRenderedRead = action === "get" || action === "multi" || action === "cell";
+    const render = isRenderedRead ? {
+        valueRenderOption: data.valueRenderOption || config.valueRender || undefined,
+        dateTimeRenderOption: data.dateTimeRenderOption || config.dateTimeRender || undefined
+    } : {};
+    if (!ErrorHandler.handleValidation(node, validators.validateRenderOptions(render), data, nodeStatus)) {
+        return;
+    }
+
+    // Formatted values ignore the date/time option, so it only splits cache entries for the other options
+    const unformatted = render.valueRenderOption && render.valueRenderOption !== 'FORMATTED_VALUE';
+    const dateTimeKey = unformatted ? (render.dateTimeRenderOption || 'SERIAL_NUMBER') : undefined;
+
+    // Write options apply to set; msg properties override the node settings
+    const write = action === "set" ? {
+        valueInputOption: data.valueInputOption || config.valueInput || undefined,
+        insertDataOption: data.insertDataOption || config.insertData || undefined,
+        includeValuesInResponse: data.includeValuesInResponse !== undefined ? Boolean(data.includeValuesInResponse) : Boolean(config.includeValues)
+    } : {};
+    // Inserted rows go to msg.insertRow or the node's row, by default just under the header row
+    if (action === "set" && method === "insert") {
+        const insertRow = data.insertRow !== undefined ? data.insertRow : config.insertRow;
+        write.insertRow = (insertRow === undefined || insertRow === '') ? (Number(config.headerRow) || 1) + 1 : Number(insertRow);
+        write.copyFrom = data.copyFrom || config.copyFrom || undefined;
+    }
+    if (!ErrorHandler.handleValidation(node, validators.validateWriteOptions(write), data, nodeStatus)) {
+        return;
+    }
+
+    // Cell lookups and queries always read row-major data
+    const isRead = action === "get" || action === "multi";
+    const majorDimension = (isRead && config.direction === "column" && !hasQuery) ? "COLUMNS" : "ROWS";
+    const cacheScope = config.cacheScope || 'msg';
+    let saveLoc;
+
+    // Cache lives in a msg/global property keyed by range, direction and render options, or in a context store keyed by
+    // request. Ranges are normalized first so "sheet1!a1:b2" and "'sheet1'!A1:B2" share an entry
+    const cacheField = (r) => cacheScope === 'msg'
+        ? [cacheRange(r).replace(/[!:'" ]/g, "_"), majorDimension, render.valueRenderOption || 'FORMATTED_VALUE', dateTimeKey].filter(Boolean).join('_')
+        : CacheService.buildKey(spreadsheetId, cacheRange(r), majorDimension, render.valueRenderOption, dateTimeKey);
+    // Header rows used to resolve {Header} references are cached with the named ranges, under their own keys
+    const headerField = (r) => 'headers|' + CacheService.buildKey(spreadsheetId, cacheRange(r));
+    // Named ranges and tab titles of the spreadsheet, used to turn named ranges into A1 ranges
+    const namesField = 'names|' + CacheService.buildKey(spreadsheetId, '');
+    let lookupLoc;
+
+    if (cacheScope === 'msg') {
+        saveLoc = helper.getContextValue(RED, node, data, save, config.saveType) || {};
+        helper.setContextValue(RED, node, data, save, saveLoc, config.saveType);
+        // A new message has an empty cache, so names and header rows are kept by the node instead of read for every message
+        lookupLoc = loadLookupStore(node);
+    } else {
+        saveLoc = loadCacheStore(node, config);
+        lookupLoc = saveLoc;
+    }
+    let saveField = (['multi', 'sheets', 'create', 'metadata'].includes(action) || isBatchWrite) ? undefined : cacheField(range);
 
     // Validate action-specific requirements
-    const inputData = action === 'set' ? helper.getContextValue(RED, node, data, config.input || "payload", config.inputType) : null;
+    const inputData = (action === 'set' || action === 'delete') ? helper.getContextValue(RED, node, data, config.input || "payload", config.inputType) : null;
+    const cell_l = helper.getContextValue(RED, node, data, config.cell_l, config.cell_lType);
+    const cell_c = helper.getContextValue(RED, node, data, config.cell_c, config.cell_cType);
+    const keys = (config.keys || '').split(',').map(key => key.trim()).filter(Boolean);
+    const dateColumns = (config.dateColumns || '').split(',').map(column => column.trim()).filter(Boolean);
+    const tq = action === 'gviz' ? helper.getContextValue(RED, node, data, config.tq, config.tqType) : undefined;
     
     const requiredValidation = validators.validateRequiredFields({
         action,
+        method: config.method,
+        fields: config.fields,
         spreadsheetId,
         range,
+        ranges,
         data: inputData,
-        inputField: config.input || 'payload'
+        inputField: config.input || 'payload',
+        keys,
+        tq,
+        cell_l,
+        cell_c
     });
     
     if (!ErrorHandler.handleValidation(node, requiredValidation, data, nodeStatus)) {
         return;
     }
 
-    const parameters = { spreadsheetId, range };
-    const method = config.method || 'append';
+    const parameters = { spreadsheetId, range, majorDimension, cell_l, cell_c, keys, query: hasQuery ? query : undefined, tq, render, write,
+        sanitize: action === "set" && Boolean(config.sanitize), schema: hasSchema ? schema : undefined, format: hasFormat ? format : undefined, sheetOps, lookupLoc, namesField };
+    if (isRenderedRead && dateColumns.length > 0) {
+        parameters.dates = { columns: dateColumns, format: config.dateFormat || 'date' };
+    }
+    if (action === 'multi') {
+        // Arrays are keyed by the range itself
+        const entries = Array.isArray(ranges) ? ranges.map(r => [r, r]) : Object.entries(ranges);
+        parameters.ranges = entries.map(([name, r]) => ({ name, range: r, saveField: cacheField(r) }));
+    } else if (isBatchWrite) {
+        parameters.ranges = inputData.map(entry => ({
+            range: entry.range,
+            input: entry.values !== undefined ? entry.values : entry.objects,
+            saveField: cacheField(entry.range)
+        }));
+    }
+
+    // Show rate limit backpressure and report retries of this message's API calls on msg.retries
+    const listeners = {
+        onQueue: (depth, wait) => {
+            nodeStatus.setCustom({ fill: "yellow", shape: "dot", text: `Queued: ${depth} waiting (~${Math.ceil(wait / 1000)}s)` });
+        }
+    };
+    if (sheetsService.retryPolicy.maxRetries > 0) {
+        data.retries = 0;
+        listeners.onRetry = () => {
+            data.retries++;
+            nodeStatus.setCustom({ fill: "yellow", shape: "ring", text: `Retrying (${data.retries})...` });
+        };
+    }
+    sheetsService = sheetsService.withListeners(listeners);
 
     nodeStatus.set('PROCESSING');
 
     try {
         // Authenticate and get auth client (uses cached token if valid, auto-refreshes when needed)
         const auth = await node.auth.authenticate();
+
+        // Named ranges become A1 ranges, and header names in ranges ({Email}) column letters, before anything uses the range.
+        // Tab, create and metadata actions ignore the range, so a leftover one is not looked up
+        const headerRow = Number(config.headerRow) || 1;
+        const usesRange = !['sheets', 'create', 'metadata'].includes(action);
+        const named = usesRange && await resolveNamedRanges(auth, parameters, sheetsService, cacheService, dataTransformer);
+        if ((usesRange && await resolveHeaderRanges(auth, parameters, headerRow, headerField, sheetsService, cacheService)) || named) {
+            saveField = parameters.ranges ? undefined : cacheField(parameters.range);
+            (parameters.ranges || []).forEach(entry => { entry.saveField = cacheField(entry.range); });
+        }
+        // "Match sheet headers" writes objects under the header row of the target columns
+        if (action === "set" && ['append', 'update', 'insert'].includes(method) && config.fields === 'header') {
+            parameters.headers = { row: headerRow, add: Boolean(config.addHeaders), field: headerField };
+        }
         
         // Execute appropriate action
         if (action === "clear" || (action === "set" && config.method === "new")) {
             await queryClear(RED, auth, node, data, config, parameters, saveLoc, saveField, action, method, sheetsService, cacheService, dataTransformer);
         } else if (action === "get") {
             await queryGet(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
+        } else if (action === "gviz") {
+            await queryGviz(RED, auth, node, data, config, parameters, sheetsService, dataTransformer);
+        } else if (action === "multi") {
+            await queryMulti(RED, auth, node, data, config, parameters, saveLoc, sheetsService, cacheService, dataTransformer);
+        } else if (action === "delete") {
+            await queryDelete(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
+        } else if (action === "create") {
+            await queryCreate(RED, auth, node, data, config, newSpreadsheet, sheetsService, dataTransformer);
+        } else if (action === "sheets") {
+            await querySheets(RED, auth, node, data, config, parameters, saveLoc, sheetsService, cacheService, dataTransformer);
+        } else if (action === "metadata") {
+            await queryMetadata(RED, auth, node, data, config, parameters, sheetsService, dataTransformer);
+        } else if (action === "cell") {
+            await queryCell(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
+        } else if (isBatchWrite) {
+            await querySetMulti(RED, auth, node, data, config, parameters, saveLoc, sheetsService, cacheService, dataTransformer);
+        } else if (action === "set" && method === "upsert") {
+            await queryUpsert(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
+        } else if (action === "set" && method === "cell") {
+            await querySetCell(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
         } else if (action === "set") {
-            await querySet(RED, auth, node, data, config, parameters, method, sheetsService, dataTransformer);
+            await querySet(RED, auth, node, data, config, parameters, method, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
         }
         
+        saveCacheStore(node, config, saveLoc);
         nodeStatus.set('SUCCESS');
     } catch (err) {
         throw new Error(`Spreadsheet operation failed: ${err.message}`);
@@ -133,7 +347,7 @@ async function input(RED, node, data, config, sheetsService, cacheService, dataT
 /**
  * Set data to spreadsheet (append, update, or new)
  */
-async function querySet(RED, auth, node, data, config, parameters, method, sheetsService, dataTransformer) {
+async function querySet(RED, auth, node, data, config, parameters, method, saveLoc, saveField, sheetsService, cacheService, dataTransformer) {
     // Get input data
     const rows = helper.getContextValue(RED, node, data, config.input || "payload", config.inputType);
 
@@ -152,39 +366,166 @@ async function querySet(RED, auth, node, data, config, parameters, method, sheet
         column: config.column
     };
     
-    const values = dataTransformer.transform(rows, transformConfig);
+    // A schema fixes the column order; records that fail it are not written
+    let input = rows;
+    let rejected = [];
+    if (parameters.schema) {
+        const checked = dataTransformer.applyWriteSchema(rows, parameters.schema);
+        rejected = checked.rejected;
+        if (checked.values.length === 0) {
+            return sendRows(RED, node, data, rejected, false);
+        }
+        input = (transformConfig.method === 'new' && config.line) ? [checked.header, ...checked.values] : checked.values;
+        if (parameters.headers) {
+            input = checked.values.map(row => Object.fromEntries(checked.header.map((name, i) => [name, row[i]])));
+        }
+    }
+
+    // Objects are laid out by column name; arrays of arrays are written as given
+    if (parameters.headers && input !== null && typeof input === 'object' && !(Array.isArray(input) && Array.isArray(input[0]))) {
+        input = await alignToHeaders(auth, Array.isArray(input) ? input : [input], parameters, saveLoc, sheetsService, cacheService, dataTransformer);
+    }
+    
+    const values = dataTransformer.transform(sanitize(input, parameters, dataTransformer), transformConfig);
+
+    // Inserting makes room for the rows first, then writes them over the new rows
+    const range = method === 'insert' ? await insertRows(auth, parameters, values, sheetsService, dataTransformer) : parameters.range;
 
     // Send to Google Sheets via service
     const responseData = await sheetsService.setValues(
         auth,
         parameters.spreadsheetId,
-        parameters.range,
+        range,
         values,
-        method
+        method === 'insert' ? 'update' : method,
+        parameters.write
     );
 
+    // Drop or patch cached reads that overlap the rows just written.
+    // Inserted rows move the rest of the tab down, so none of its cached reads or named ranges still match
+    const written = dataTransformer.transformWriteResponse(responseData, range);
+    if (method === 'insert') {
+        invalidateCache(saveLoc, saveField, parameters.spreadsheetId, a1.quoteSheetName(written.sheet), cacheService, parameters.lookupLoc);
+        cacheService.invalidate(parameters.lookupLoc, parameters.namesField);
+    } else {
+        updateCache(config, method, saveLoc, saveField, parameters.spreadsheetId, written.range, values, cacheService, parameters.lookupLoc);
+    }
+    data.written = written;
+    if (parameters.format) {
+        await formatWritten(auth, parameters, written, sheetsService, dataTransformer);
+    }
+
     // Handle output
     if (config.output) {
         // Always set the response data to output
         helper.setContextValue(RED, node, data, config.output, responseData, config.outputType);
     }
-    node.send([data, undefined]);
+    sendRows(RED, node, data, rejected);
+}
+
+/**
+ * Lay out records under the header row of the columns being written
+ * The header is read through the cache, and read again before adding columns or when no field matches it.
+ * New column names are written after the last header cell, ahead of the rows
+ * @returns {Promise<Array<Array>>} Rows in header order
+ */
+async function alignToHeaders(auth, records, parameters, saveLoc, sheetsService, cacheService, dataTransformer) {
+    const { row, add, field } = parameters.headers;
+    const { sheet, startCol, endCol } = a1.parseRange(parameters.range);
+    const first = (startCol || 1) - 1;
+    const last = endCol && endCol > startCol ? endCol : undefined;
+    const headerRange = a1.toA1({ sheet, startRow: row, startCol: null, endRow: row, endCol: null });
+    const read = async (refresh) => (await readHeaderRow(auth, parameters.spreadsheetId, headerRange, field(headerRange), parameters.lookupLoc, refresh, sheetsService, cacheService)).slice(first, last);
+
+    const fields = dataTransformer.alignToHeader(records, [], true).header;
+    let header = await read(false);
+    const missing = fields.filter(name => !header.includes(name));
+    if (missing.length > 0 && (add || missing.length === fields.length)) {
+        header = await read(true);
+    }
+
+    const aligned = dataTransformer.alignToHeader(records, header, add);
+    if (aligned.added.length > 0) {
+        if (last !== undefined && first + aligned.header.length > last) {
+            throw new Error(`No room in ${parameters.range} for new columns: ${aligned.added.join(', ')}`);
+        }
+        const addRange = a1.toA1({ sheet, startRow: row, startCol: first + header.length + 1, endRow: row, endCol: first + aligned.header.length });
+        await sheetsService.setValues(auth, parameters.spreadsheetId, addRange, [aligned.added], 'update', { valueInputOption: 'RAW' });
+        invalidateCache(saveLoc, field(headerRange), parameters.spreadsheetId, addRange, cacheService, parameters.lookupLoc);
+    }
+    return aligned.values;
+}
+
+/**
+ * Insert empty rows for a write at the insert row, copying the formats and formulas of the row above or below
+ * into them when asked. The copied row's formulas are read first, so its constant values are left behind
+ * @returns {Promise<string>} Range of the new rows, in the columns of the requested range
+ */
+async function insertRows(auth, parameters, values, sheetsService, dataTransformer) {
+    const { insertRow, copyFrom } = parameters.write;
+    const sheet = await resolveSheet(auth, parameters.spreadsheetId, parameters.range, sheetsService);
+    let source = [];
+    if (copyFrom) {
+        const sourceRow = copyFrom === 'above' ? insertRow - 1 : insertRow;
+        const sourceRange = `${a1.quoteSheetName(sheet.title)}!${sourceRow}:${sourceRow}`;
+        const responseData = await sheetsService.getValues(auth, parameters.spreadsheetId, sourceRange, { majorDimension: "ROWS", valueRenderOption: 'FORMULA' });
+        source = (responseData.values || [])[0] || [];
+    }
+    const requests = dataTransformer.insertRowsRequests(sheet.sheetId, insertRow, values.length, copyFrom, source);
+    await sheetsService.batchUpdateSpreadsheet(auth, parameters.spreadsheetId, requests);
+
+    const startCol = a1.parseRange(parameters.range).startCol || 1;
+    const width = Math.max(1, ...values.map(row => row.length));
+    return a1.toA1({ sheet: sheet.title, startRow: insertRow, startCol, endRow: insertRow + values.length - 1, endCol: startCol + width - 1 });
+}
+
+/**
+ * Format the cells just written and add the format's conditional rules, in one batchUpdate
+ * Existing rules are only read when there are rules to add, so matching ones are replaced rather than stacked
+ */
+async function formatWritten(auth, parameters, written, sheetsService, dataTransformer) {
+    const fields = parameters.format.conditional ? 'sheets(properties(sheetId,title),conditionalFormats)' : 'sheets.properties(sheetId,title)';
+    const spreadsheet = await sheetsService.getSpreadsheet(auth, parameters.spreadsheetId, { fields });
+    const requests = dataTransformer.formatRequests(parameters.format, written, spreadsheet.sheets || []);
+    if (requests.length > 0) {
+        await sheetsService.batchUpdateSpreadsheet(auth, parameters.spreadsheetId, requests);
+    }
+}
+
+/**
+ * Escape formula characters in untrusted input when the node is configured to
+ * @param {*} input - Input data
+ * @param {Object} parameters - Request parameters
+ * @param {DataTransformer} dataTransformer - Transformer
+ * @returns {*} Input, escaped when sanitizing is enabled and the input is not written raw
+ */
+function sanitize(input, parameters, dataTransformer) {
+    return parameters.sanitize ? dataTransformer.sanitizeInput(input, parameters.write.valueInputOption) : input;
 }
 
 /**
  * Clear data from spreadsheet
  */
 async function queryClear(RED, auth, node, data, config, parameters, saveLoc, saveField, action, method, sheetsService, cacheService, dataTransformer) {
+    // "New" keeps the existing values when the schema rejects every record
+    if (action !== "clear" && parameters.schema) {
+        const rows = helper.getContextValue(RED, node, data, config.input || "payload", config.inputType);
+        if (dataTransformer.applyWriteSchema(rows, parameters.schema).values.length === 0) {
+            return querySet(RED, auth, node, data, config, parameters, method, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
+        }
+    }
+
     // Clear values via service
     const responseData = await sheetsService.clearValues(auth, parameters.spreadsheetId, parameters.range);
 
     if (action === "clear") {
         helper.setContextValue(RED, node, data, config.output || "payload", responseData, config.outputType);
-        cacheService.invalidate(saveLoc, saveField);
+        invalidateCache(saveLoc, saveField, parameters.spreadsheetId, parameters.range, cacheService, parameters.lookupLoc);
         return node.send([data, undefined]);
     } else {
         // After clearing, set new values
-        return querySet(RED, auth, node, data, config, parameters, method, sheetsService, dataTransformer);
+        invalidateCache(saveLoc, saveField, parameters.spreadsheetId, parameters.range, cacheService, parameters.lookupLoc);
+        return querySet(RED, auth, node, data, config, parameters, method, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
     }
 }
 
@@ -192,21 +533,35 @@ async function queryClear(RED, auth, node, data, config, parameters, saveLoc, sa
  * Get data from spreadsheet
  */
 async function queryGet(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer) {
+    const rejected = [];
+
+    // Queries run against the cached range when available
+    if (parameters.query) {
+        const values = await readValues(data, auth, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
+        const rows = applySchema(renderDates(values, parameters.range, parameters, "ROWS", dataTransformer), parameters.range, parameters, rejected, dataTransformer);
+        const result = dataTransformer.queryValues(rows, parameters.query);
+        data.total = result.total;
+        helper.setContextValue(RED, node, data, config.output || "payload", result.rows, config.outputType);
+        return sendRows(RED, node, data, rejected);
+    }
+
     // Check cache first
     if (cacheService.has(saveLoc, saveField)) {
         const cachedValues = cacheService.get(saveLoc, saveField);
-        const transformedData = dataTransformer.transformGetResponse(cachedValues, config, false);
+        setCacheInfo(data, true, cacheService.recordHit(saveLoc, saveField));
+        const rendered = renderDates(cachedValues, parameters.range, parameters, parameters.majorDimension, dataTransformer);
+        const transformedData = dataTransformer.transformGetResponse(applySchema(rendered, parameters.range, parameters, rejected, dataTransformer), config, false);
         helper.setContextValue(RED, node, data, config.output || "payload", transformedData, config.outputType);
-        return node.send([data, undefined]);
+        return sendRows(RED, node, data, rejected);
     }
 
     // Get values via service
-    const majorDimension = (config.direction === "column") ? "COLUMNS" : "ROWS";
+    const majorDimension = parameters.majorDimension;
     const responseData = await sheetsService.getValues(
         auth,
         parameters.spreadsheetId,
         parameters.range,
-        { majorDimension }
+        { majorDimension, ...parameters.render }
     );
 
     if (!responseData.values) {
@@ -216,10 +571,671 @@ async function queryGet(RED, auth, node, data, config, parameters, saveLoc, save
 
     // Cache the results
     const result = dataTransformer.copyValuesArray(responseData.values);
-    cacheService.set(saveLoc, saveField, result);
+    cacheService.set(saveLoc, saveField, result, { range: parameters.range, majorDimension, spreadsheetId: parameters.spreadsheetId });
+    setCacheInfo(data, false, cacheService.getMetadata(saveLoc, saveField));
 
     // Transform and return
-    const transformedData = dataTransformer.transformGetResponse(responseData.values, config, responseData.majorDimension);
+    const rendered = renderDates(responseData.values, parameters.range, parameters, majorDimension, dataTransformer);
+    const transformedData = dataTransformer.transformGetResponse(applySchema(rendered, parameters.range, parameters, rejected, dataTransformer), config, responseData.majorDimension);
+    helper.setContextValue(RED, node, data, config.output || "payload", transformedData, config.outputType);
+    return sendRows(RED, node, data, rejected);
+}
+
+/**
+ * Get data with a Visualization API (gviz) query
+ * Google filters, sorts and aggregates the rows, so results are not cached
+ */
+async function queryGviz(RED, auth, node, data, config, parameters, sheetsService, dataTransformer) {
+    const { sheet, cells } = a1.splitSheet(parameters.range);
+    const table = await sheetsService.queryGviz(auth, parameters.spreadsheetId, parameters.tq, {
+        sheet,
+        range: cells || undefined,
+        headers: config.line ? 1 : 0
+    });
+
+    const values = dataTransformer.gvizTableToValues(table, config.line);
+    if (values.length === 0) {
+        helper.setContextValue(RED, node, data, config.output || "payload", "", config.outputType);
+        return node.send([data, undefined]);
+    }
+
+    const transformedData = dataTransformer.transformGetResponse(values, config, 'ROWS');
     helper.setContextValue(RED, node, data, config.output || "payload", transformedData, config.outputType);
     return node.send([data, undefined]);
 }
+
+/**
+ * Get data from several ranges with one batchGet call
+ * Cached ranges are served from the cache; results are keyed by range name
+ */
+async function queryMulti(RED, auth, node, data, config, parameters, saveLoc, sheetsService, cacheService, dataTransformer) {
+    const results = {};
+    const cache = {};
+    const missing = [];
+    const rejected = [];
+
+    for (const entry of parameters.ranges) {
+        if (cacheService.has(saveLoc, entry.saveField)) {
+            cache[entry.name] = Object.assign({ hit: true }, cacheService.recordHit(saveLoc, entry.saveField));
+            const rendered = renderDates(cacheService.get(saveLoc, entry.saveField), entry.range, parameters, parameters.majorDimension, dataTransformer);
+            results[entry.name] = dataTransformer.transformGetResponse(applySchema(rendered, entry.range, parameters, rejected, dataTransformer), config, false);
+        } else {
+            missing.push(entry);
+        }
+    }
+
+    if (missing.length > 0) {
+        const majorDimension = parameters.majorDimension;
+        const responseData = await sheetsService.batchGetValues(
+            auth,
+            parameters.spreadsheetId,
+            missing.map(entry => entry.range),
+            { majorDimension, ...parameters.render }
+        );
+
+        // valueRanges come back in request order
+        const valueRanges = responseData.valueRanges || [];
+        missing.forEach((entry, i) => {
+            const valueRange = valueRanges[i] || {};
+            if (!valueRange.values) {
+                cache[entry.name] = { hit: false };
+                results[entry.name] = "";
+                return;
+            }
+
+            cacheService.set(saveLoc, entry.saveField, dataTransformer.copyValuesArray(valueRange.values), { range: entry.range, majorDimension, spreadsheetId: parameters.spreadsheetId });
+            cache[entry.name] = Object.assign({ hit: false }, cacheService.getMetadata(saveLoc, entry.saveField));
+            const rendered = renderDates(valueRange.values, entry.range, parameters, majorDimension, dataTransformer);
+            results[entry.name] = dataTransformer.transformGetResponse(applySchema(rendered, entry.range, parameters, rejected, dataTransformer), config, valueRange.majorDimension);
+        });
+    }
+
+    // Keep the configured order of names
+    const payload = {};
+    data.cache = {};
+    for (const entry of parameters.ranges) {
+        payload[entry.name] = results[entry.name];
+        data.cache[entry.name] = cache[entry.name];
+    }
+
+    helper.setContextValue(RED, node, data, config.output || "payload", payload, config.outputType);
+    return sendRows(RED, node, data, rejected);
+}
+
+/**
+ * Read raw values for a range, using the cache when available
+ * @returns {Promise<Array<Array>>} 2D array of values (empty if the range has no data)
+ */
+async function readValues(data, auth, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer) {
+    if (cacheService.has(saveLoc, saveField)) {
+        setCacheInfo(data, true, cacheService.recordHit(saveLoc, saveField));
+        return cacheService.get(saveLoc, saveField);
+    }
+
+    const responseData = await sheetsService.getValues(
+        auth,
+        parameters.spreadsheetId,
+        parameters.range,
+        { majorDimension: "ROWS", ...parameters.render }
+    );
+
+    if (!responseData.values) {
+        return [];
+    }
+
+    cacheService.set(saveLoc, saveField, dataTransformer.copyValuesArray(responseData.values), { range: parameters.range, majorDimension: "ROWS", spreadsheetId: parameters.spreadsheetId });
+    setCacheInfo(data, false, cacheService.getMetadata(saveLoc, saveField));
+    return responseData.values;
+}
+
+/**
+ * Convert serial numbers in the configured date columns
+ * Cached values keep the serial numbers, so dates are converted on every read
+ * @param {Array<Array>} values - Values read from the range
+ * @param {string} range - A1 range the values were read from
+ * @param {Object} parameters - Request parameters, with dates: {columns, format} when configured
+ * @param {string} majorDimension - ROWS or COLUMNS
+ * @param {DataTransformer} dataTransformer - Transformer
+ * @returns {Array<Array>} Values with converted dates
+ */
+function renderDates(values, range, parameters, majorDimension, dataTransformer) {
+    if (!parameters.dates || !Array.isArray(values) || values.length === 0) {
+        return values;
+    }
+    const startCol = a1.parseRange(range).startCol || 1;
+    const columns = dataTransformer.resolveColumns(values, parameters.dates.columns, startCol, majorDimension);
+    return dataTransformer.convertSerialDates(values, columns, parameters.dates.format, majorDimension);
+}
+
+/**
+ * Coerce rows to the configured schema, collecting the rows that fail
+ * @param {Array<Array>} values - Values read by row, header first
+ * @param {string} range - A1 range the values were read from
+ * @param {Object} parameters - Request parameters, with schema when configured
+ * @param {Array<Object>} rejected - Receives the failing rows, tagged with their range
+ * @param {DataTransformer} dataTransformer - Transformer
+ * @returns {Array<Array>} Header and valid rows
+ */
+function applySchema(values, range, parameters, rejected, dataTransformer) {
+    if (!parameters.schema || !Array.isArray(values) || values.length === 0) {
+        return values;
+    }
+    const result = dataTransformer.applySchema(values, parameters.schema, a1.parseRange(range).startRow || 1);
+    result.rejected.forEach(row => rejected.push(Object.assign({ range }, row)));
+    return result.values;
+}
+
+/**
+ * Send the result, with the rows that failed the schema on the error output
+ * The error message is a copy of the message with the failing rows as payload
+ * @param {boolean} [delivered=true] - Also send the message on the first output; false when nothing was written
+ */
+function sendRows(RED, node, data, rejected, delivered = true) {
+    if (rejected.length === 0) {
+        return node.send([data, undefined]);
+    }
+    const invalid = RED.util.cloneMessage(data);
+    invalid.error = `${rejected.length} ${rejected.length === 1 ? 'row' : 'rows'} failed schema validation`;
+    invalid.payload = rejected;
+    return node.send([delivered ? data : undefined, invalid]);
+}
+
+/**
+ * Expose cache metadata on the message
+ * @param {Object} data - Message object
+ * @param {boolean} hit - Whether the values were served from the cache
+ * @param {Object} [meta] - Metadata from CacheService (fetchedAt, hits, age, expiresAt)
+ */
+function setCacheInfo(data, hit, meta) {
+    data.cache = Object.assign({ hit }, meta);
+}
+
+/**
+ * Build the A1 address of a cell located inside the configured range
+ * @param {string} range - Range the values were read from
+ * @param {{rowIndex: number, colIndex: number}} position - 0-based position inside the values
+ * @returns {string} A1 address of the cell
+ */
+function cellAddress(range, position) {
+    const parsed = a1.parseRange(range);
+    return a1.formatCell(
+        parsed.sheet,
+        (parsed.startRow || 1) + position.rowIndex,
+        (parsed.startCol || 1) + position.colIndex
+    );
+}
+
+/**
+ * Get a single cell value by row label and column label
+ */
+async function queryCell(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer) {
+    const values = await readValues(data, auth, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer);
+    const position = dataTransformer.locateCell(values, parameters.cell_l, parameters.cell_c);
+
+    const rendered = renderDates(values, parameters.range, parameters, "ROWS", dataTransformer);
+    const value = dataTransformer.transformCellResponse(rendered, parameters.cell_l, parameters.cell_c);
+    helper.setContextValue(RED, node, data, config.output || "payload", value, config.outputType);
+    if (position) {
+        data.address = cellAddress(parameters.range, position);
+    }
+    return node.send([data, undefined]);
+}
+
+/**
+ * Set a single cell found by row label and column label
+ */
+async function querySetCell(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer) {
+    // The table is always read fresh, so a stale cache entry cannot move the write to another cell
+    const responseData = await sheetsService.getValues(auth, parameters.spreadsheetId, parameters.range, { majorDimension: "ROWS" });
+    const values = responseData.values || [];
+    const position = dataTransformer.locateCell(values, parameters.cell_l, parameters.cell_c);
+
+    if (!position) {
+        throw new Error(`Cell not found for row "${parameters.cell_l}" and column "${parameters.cell_c}"`);
+    }
+
+    const address = cellAddress(parameters.range, position);
+    const input = helper.getContextValue(RED, node, data, config.input || "payload", config.inputType);
+    const cellValues = dataTransformer.transform(sanitize(input, parameters, dataTransformer), { fields: config.fields, selfields: config.selfields });
+
+    const written = await sheetsService.setValues(auth, parameters.spreadsheetId, address, cellValues, 'update', parameters.write);
+
+    updateCache(config, 'update', saveLoc, saveField, parameters.spreadsheetId, address, cellValues, cacheService, parameters.lookupLoc);
+    data.written = dataTransformer.transformWriteResponse(written, address);
+
+    if (config.output) {
+        helper.setContextValue(RED, node, data, config.output, written, config.outputType);
+    }
+    data.address = address;
+    node.send([data, undefined]);
+}
+
+/**
+ * Set several ranges with one batchUpdate call
+ * Each entry is transformed like a single update; cached reads are updated per written range
+ */
+async function querySetMulti(RED, auth, node, data, config, parameters, saveLoc, sheetsService, cacheService, dataTransformer) {
+    const transformConfig = {
+        fields: config.fields,
+        selfields: config.selfields,
+        method: 'update',
+        line: config.line,
+        column: config.column
+    };
+
+    const batch = parameters.ranges.map(entry => ({
+        range: entry.range,
+        values: dataTransformer.transform(sanitize(entry.input, parameters, dataTransformer), transformConfig)
+    }));
+
+    const responseData = await sheetsService.batchUpdateValues(auth, parameters.spreadsheetId, batch, parameters.write);
+
+    // responses come back in request order
+    const responses = responseData.responses || [];
+    data.written = parameters.ranges.map((entry, i) => {
+        const written = dataTransformer.transformWriteResponse(responses[i], entry.range);
+        updateCache(config, 'update', saveLoc, entry.saveField, parameters.spreadsheetId, written.range, batch[i].values, cacheService, parameters.lookupLoc);
+        return written;
+    });
+
+    if (config.output) {
+        helper.setContextValue(RED, node, data, config.output, responseData, config.outputType);
+    }
+    node.send([data, undefined]);
+}
+
+/**
+ * Update rows matching the key columns and append the rest
+ * Always reads the range fresh so keys added elsewhere are not appended twice
+ */
+async function queryUpsert(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer) {
+    const input = helper.getContextValue(RED, node, data, config.input || "payload", config.inputType);
+    const rows = sanitize(Array.isArray(input) ? input : [input], parameters, dataTransformer);
+
+    const responseData = await sheetsService.getValues(auth, parameters.spreadsheetId, parameters.range, { majorDimension: "ROWS" });
+    const fields = (config.fields === 'select' && config.selfields && config.selfields[0]) ? Array.from(config.selfields) : undefined;
+    const plan = dataTransformer.planUpsert(responseData.values || [], rows, parameters.keys, fields);
+
+    const parsed = a1.parseRange(parameters.range);
+    const startRow = parsed.startRow || 1;
+    const startCol = parsed.startCol || 1;
+    const endCol = startCol + plan.header.length - 1;
+
+    data.written = [];
+
+    if (plan.updates.length > 0) {
+        const batch = plan.updates.map(update => {
+            const row = startRow + update.rowIndex;
+            return { range: a1.formatRange(parsed.sheet, row, startCol, row, endCol), values: [update.row] };
+        });
+        const updated = await sheetsService.batchUpdateValues(auth, parameters.spreadsheetId, batch, parameters.write);
+        const responses = updated.responses || [];
+        batch.forEach((entry, i) => {
+            updateCache(config, 'update', saveLoc, saveField, parameters.spreadsheetId, entry.range, entry.values, cacheService, parameters.lookupLoc);
+            data.written.push(dataTransformer.transformWriteResponse(responses[i], entry.range));
+        });
+    }
+
+    if (plan.inserts.length > 0) {
+        const values = plan.inserts.map(insert => insert.row);
+        const appended = await sheetsService.setValues(auth, parameters.spreadsheetId, parameters.range, values, 'append', parameters.write);
+        const written = dataTransformer.transformWriteResponse(appended, parameters.range);
+        updateCache(config, 'append', saveLoc, saveField, parameters.spreadsheetId, written.range, values, cacheService, parameters.lookupLoc);
+        data.written.push(written);
+    }
+
+    if (config.output) {
+        const result = {
+            inserted: plan.inserts.map(insert => insert.key),
+            updated: plan.updates.map(update => update.key)
+        };
+        helper.setContextValue(RED, node, data, config.output, result, config.outputType);
+    }
+    node.send([data, undefined]);
+}
+
+/**
+ * Delete rows matching a key, a list of keys or a column filter
+ * Rows are removed with deleteDimension requests, highest row first so earlier deletions do not shift later ones
+ */
+async function queryDelete(RED, auth, node, data, config, parameters, saveLoc, saveField, sheetsService, cacheService, dataTransformer) {
+    const criteria = helper.getContextValue(RED, node, data, config.input || "payload", config.inputType);
+
+    // Always read fresh: deleting by row number from a stale cache would remove the wrong rows
+    const responseData = await sheetsService.getValues(auth, parameters.spreadsheetId, parameters.range, { majorDimension: "ROWS" });
+    const { matches, records } = dataTransformer.planDelete(responseData.values || [], criteria, parameters.keys);
+
+    if (matches.length > 0) {
+        const parsed = a1.parseRange(parameters.range);
+        const sheet = await resolveSheet(auth, parameters.spreadsheetId, parameters.range, sheetsService);
+        const startRow = parsed.startRow || 1;
+
+        const requests = matches
+            .map(i => startRow + i - 1)
+            .sort((a, b) => b - a)
+            .map(index => ({
+                deleteDimension: {
+                    range: { sheetId: sheet.sheetId, dimension: 'ROWS', startIndex: index, endIndex: index + 1 }
+                }
+            }));
+        await sheetsService.batchUpdateSpreadsheet(auth, parameters.spreadsheetId, requests);
+
+        // Rows below the deleted ones moved up, so every cached range on the sheet is stale, and so are named ranges
+        invalidateCache(saveLoc, saveField, parameters.spreadsheetId, a1.quoteSheetName(sheet.title), cacheService, parameters.lookupLoc);
+        cacheService.invalidate(parameters.lookupLoc, parameters.namesField);
+    }
+
+    helper.setContextValue(RED, node, data, config.output || "payload", records, config.outputType);
+    node.send([data, undefined]);
+}
+
+/**
+ * Create a spreadsheet with its tabs and header rows
+ * The new ID is set on msg.spreadsheetId, so a following node can use it
+ */
+async function queryCreate(RED, auth, node, data, config, spec, sheetsService, dataTransformer) {
+    const responseData = await sheetsService.createSpreadsheet(auth, dataTransformer.buildSpreadsheet(spec));
+
+    data.spreadsheetId = responseData.spreadsheetId;
+    data.spreadsheetUrl = responseData.spreadsheetUrl;
+    const result = {
+        spreadsheetId: responseData.spreadsheetId,
+        spreadsheetUrl: responseData.spreadsheetUrl,
+        title: (responseData.properties || {}).title,
+        sheets: dataTransformer.sheetProperties(responseData)
+    };
+
+    helper.setContextValue(RED, node, data, config.output || "payload", result, config.outputType);
+    node.send([data, undefined]);
+}
+
+/**
+ * List the tabs of a spreadsheet, or add, duplicate, copy, rename, delete, hide, show, move or freeze tabs in one batchUpdate
+ * Copies from a template are made first with copyTo, then named and placed with the other changes.
+ * The output is the list of tabs, or one {op, sheetId, title} entry per operation
+ */
+async function querySheets(RED, auth, node, data, config, parameters, saveLoc, sheetsService, cacheService, dataTransformer) {
+    const operations = parameters.sheetOps;
+    let result;
+
+    if (!operations) {
+        const spreadsheet = await sheetsService.getSpreadsheet(auth, parameters.spreadsheetId, { fields: SHEET_FIELDS });
+        result = dataTransformer.sheetProperties(spreadsheet);
+    } else {
+        // Adding and copying tabs needs no lookup in this spreadsheet
+        const spreadsheet = operations.every(operation => operation.op === 'add' || operation.op === 'copy')
+            ? {}
+            : await sheetsService.getSpreadsheet(auth, parameters.spreadsheetId, { fields: SHEET_FIELDS });
+        const copies = await copyTemplateSheets(auth, operations, parameters.spreadsheetId, sheetsService, dataTransformer);
+        const plan = dataTransformer.planSheetRequests(operations, dataTransformer.sheetProperties(spreadsheet), copies);
+        const responseData = await sheetsService.batchUpdateSpreadsheet(auth, parameters.spreadsheetId, plan.requests);
+        result = dataTransformer.sheetResults(operations, plan.targets, responseData);
+
+        // Cached reads and header rows of renamed or deleted tabs no longer match the sheet they name, nor do cached tab titles
+        operations.forEach((operation, i) => {
+            if (operation.op === 'rename' || operation.op === 'delete') {
+                const sheet = a1.quoteSheetName(plan.targets[i].title);
+                cacheService.invalidateRange(saveLoc, sheet, parameters.spreadsheetId);
+                cacheService.invalidateRange(parameters.lookupLoc, sheet, parameters.spreadsheetId);
+            }
+        });
+        cacheService.invalidate(parameters.lookupLoc, parameters.namesField);
+    }
+
+    helper.setContextValue(RED, node, data, config.output || "payload", result, config.outputType);
+    node.send([data, undefined]);
+}
+
+/**
+ * Read the title, locale, time zone, tabs, named ranges, protected ranges and developer metadata of a spreadsheet
+ * Grid ranges are returned as A1 ranges
+ */
+async function queryMetadata(RED, auth, node, data, config, parameters, sheetsService, dataTransformer) {
+    const spreadsheet = await sheetsService.getSpreadsheet(auth, parameters.spreadsheetId, { fields: METADATA_FIELDS });
+    const result = dataTransformer.spreadsheetMetadata(spreadsheet);
+
+    helper.setContextValue(RED, node, data, config.output || "payload", result, config.outputType);
+    node.send([data, undefined]);
+}
+
+/**
+ * Copy the template tabs of copy operations into the spreadsheet
+ * Template tabs named by title are looked up once per template spreadsheet
+ * @returns {Promise<Object>} Properties of each new tab, by operation index
+ */
+async function copyTemplateSheets(auth, operations, spreadsheetId, sheetsService, dataTransformer) {
+    const copies = {};
+    const templates = new Map();
+
+    for (let i = 0; i < operations.length; i++) {
+        const { op, from, sheet } = operations[i];
+        if (op !== 'copy') continue;
+
+        let sheetId = sheet;
+        if (typeof sheet === 'string') {
+            if (!templates.has(from)) {
+                const template = await sheetsService.getSpreadsheet(auth, from, { fields: SHEET_FIELDS });
+                templates.set(from, dataTransformer.sheetProperties(template));
+            }
+            const found = templates.get(from).find(tab => tab.title === sheet);
+            if (!found) {
+                throw new Error(`Sheet "${sheet}" not found in template ${from}`);
+            }
+            sheetId = found.sheetId;
+        }
+        copies[i] = await sheetsService.copySheetTo(auth, from, sheetId, spreadsheetId);
+    }
+    return copies;
+}
+
+/**
+ * Turn the input of a tab operation into a list of operations
+ * A string or number names the tab (the new title when adding); objects may carry their own op
+ * @param {string} op - Operation from msg.operation or the node
+ * @param {*} input - Tab name, sheetId, operation object or an array of them
+ * @returns {Array<Object>} Operations to validate
+ */
+function sheetOperations(op, input) {
+    return (Array.isArray(input) ? input : [input]).map(entry => {
+        if (typeof entry === 'string' || typeof entry === 'number') {
+            return op === 'add' ? { op, title: String(entry) } : { op, sheet: entry };
+        }
+        return (entry && typeof entry === 'object' && !Array.isArray(entry)) ? { op, ...entry } : entry;
+    });
+}
+
+/**
+ * Find the sheet a range refers to
+ * Ranges without a sheet name refer to the first sheet
+ * @returns {Promise<{sheetId: number, title: string}>} Sheet properties
+ */
+async function resolveSheet(auth, spreadsheetId, range, sheetsService) {
+    const name = a1.parseRange(range).sheet;
+    const spreadsheet = await sheetsService.getSpreadsheet(auth, spreadsheetId, { fields: 'sheets.properties(sheetId,title)' });
+    const sheets = (spreadsheet.sheets || []).map(sheet => sheet.properties);
+    const sheet = name ? sheets.find(properties => properties.title === name) : sheets[0];
+
+    if (!sheet) {
+        throw new Error(`Sheet "${name}" not found`);
+    }
+    return sheet;
+}
+
+/**
+ * Replace named ranges in the request's range, or in each of its ranges, with their A1 range
+ * Only a single word can be a name. A tab of the same title wins, as it does in the API.
+ * Names are read through the cache, or the node's own store when reads are cached on the message,
+ * and read again when a word is neither a tab nor a name, in case it was just added
+ * @returns {Promise<boolean>} True if any range was rewritten
+ */
+async function resolveNamedRanges(auth, parameters, sheetsService, cacheService, dataTransformer) {
+    const entries = (parameters.ranges || [parameters]).filter(entry => a1.isBareName(entry.range));
+    if (entries.length === 0) return false;
+
+    const known = (names, word) => names.sheets.includes(word) || Object.prototype.hasOwnProperty.call(names.ranges, word);
+    const { spreadsheetId, namesField, lookupLoc } = parameters;
+    let names = await readNames(auth, spreadsheetId, namesField, lookupLoc, false, sheetsService, cacheService, dataTransformer);
+    if (entries.some(entry => !known(names, entry.range))) {
+        names = await readNames(auth, spreadsheetId, namesField, lookupLoc, true, sheetsService, cacheService, dataTransformer);
+    }
+
+    let resolved = false;
+    for (const entry of entries) {
+        if (!names.sheets.includes(entry.range) && Object.prototype.hasOwnProperty.call(names.ranges, entry.range)) {
+            entry.range = names.ranges[entry.range];
+            resolved = true;
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Read the named ranges and tab titles of a spreadsheet, from the cache unless a refresh is asked for
+ * The entry has no range, so writes leave it alone; tab operations drop it
+ * @returns {Promise<{ranges: Object<string, string>, sheets: Array<string>}>} A1 range by name, and tab titles
+ */
+async function readNames(auth, spreadsheetId, field, saveLoc, refresh, sheetsService, cacheService, dataTransformer) {
+    let names = !refresh && cacheService.has(saveLoc, field) ? cacheService.get(saveLoc, field) : undefined;
+    if (!names) {
+        const metadata = dataTransformer.spreadsheetMetadata(await sheetsService.getSpreadsheet(auth, spreadsheetId, { fields: NAME_FIELDS }));
+        names = {
+            ranges: Object.fromEntries(metadata.namedRanges.map(named => [named.name, named.range])),
+            sheets: metadata.sheets.map(sheet => sheet.title)
+        };
+        cacheService.set(saveLoc, field, names, { spreadsheetId });
+    }
+    return names;
+}
+
+/**
+ * Replace {Header} references in the request's range, or in each of its ranges, with column letters
+ * Header rows are read through the cache, or the node's own store when reads are cached on the message,
+ * and read again when a name is missing, in case columns changed
+ * @returns {Promise<boolean>} True if any range was rewritten
+ */
+async function resolveHeaderRanges(auth, parameters, headerRow, headerField, sheetsService, cacheService) {
+    const entries = parameters.ranges || [parameters];
+    let resolved = false;
+
+    for (const entry of entries) {
+        if (!a1.hasHeaderRefs(entry.range)) continue;
+
+        const { sheet, names } = a1.headerRefs(entry.range);
+        const headerRange = a1.toA1({ sheet, startRow: headerRow, startCol: null, endRow: headerRow, endCol: null });
+        let headers = await readHeaderRow(auth, parameters.spreadsheetId, headerRange, headerField(headerRange), parameters.lookupLoc, false, sheetsService, cacheService);
+        if (names.some(name => !headers.includes(name))) {
+            headers = await readHeaderRow(auth, parameters.spreadsheetId, headerRange, headerField(headerRange), parameters.lookupLoc, true, sheetsService, cacheService);
+        }
+
+        entry.range = a1.resolveHeaderRefs(entry.range, name => headers.indexOf(name) + 1);
+        resolved = true;
+    }
+    return resolved;
+}
+
+/**
+ * Read the header names of a sheet, from the cache unless a refresh is asked for
+ * The row is cached as a one-row range so writes to it invalidate or patch it like any cached read.
+ * In the node's own store, writes overlapping it drop it
+ * @returns {Promise<Array<string>>} Trimmed header names
+ */
+async function readHeaderRow(auth, spreadsheetId, headerRange, field, saveLoc, refresh, sheetsService, cacheService) {
+    let values = !refresh && cacheService.has(saveLoc, field) ? cacheService.get(saveLoc, field) : undefined;
+    if (!values) {
+        const responseData = await sheetsService.getValues(auth, spreadsheetId, headerRange, { majorDimension: "ROWS" });
+        values = [(responseData.values || [])[0] || []];
+        cacheService.set(saveLoc, field, values, { range: headerRange, majorDimension: "ROWS", spreadsheetId });
+    }
+    return values[0].map(value => String(value).trim());
+}
+
+/**
+ * Normalize a range for use in a cache key; ranges that do not parse are used as given
+ * @param {string} range - A1 range
+ * @returns {string} Normalized range
+ */
+function cacheRange(range) {
+    try {
+        return a1.normalizeRange(range);
+    } catch (err) {
+        return range;
+    }
+}
+
+/**
+ * Invalidate cached reads that overlap a range
+ * The saveField entry is always dropped so caches without range metadata are covered too.
+ * Header rows kept in the node's own store are dropped when they overlap as well
+ */
+function invalidateCache(saveLoc, saveField, spreadsheetId, range, cacheService, lookupLoc) {
+    cacheService.invalidate(saveLoc, saveField);
+    cacheService.invalidateRange(saveLoc, range, spreadsheetId);
+    if (lookupLoc && lookupLoc !== saveLoc) {
+        cacheService.invalidateRange(lookupLoc, range, spreadsheetId);
+    }
+}
+
+/**
+ * Bring cached reads in line with a completed write
+ * Write-through patches overlapping cached arrays in place, otherwise they are invalidated
+ */
+function updateCache(config, method, saveLoc, saveField, spreadsheetId, range, values, cacheService, lookupLoc) {
+    if (config.writeThrough && method !== 'new') {
+        // Entries without range metadata cannot be patched
+        if (!cacheService.getMetadata(saveLoc, saveField)) {
+            cacheService.invalidate(saveLoc, saveField);
+        }
+        cacheService.patchRange(saveLoc, range, values, spreadsheetId);
+        if (lookupLoc && lookupLoc !== saveLoc) {
+            cacheService.invalidateRange(lookupLoc, range, spreadsheetId);
+        }
+    } else {
+        invalidateCache(saveLoc, saveField, spreadsheetId, range, cacheService, lookupLoc);
+    }
+}
+
+/**
+ * Load the node-level or shared cache store from Node-RED context
+ * "node" scope uses the node's own context, "shared" uses global context so every node sees it.
+ * A named context store (e.g. a persistent "file" store) keeps the cache across restarts.
+ * @returns {Object} Cache storage object
+ */
+function loadCacheStore(node, config) {
+    const context = cacheContext(node, config);
+    const store = config.cacheStore || undefined;
+    let storage = context.get(CACHE_CONTEXT_KEY, store);
+
+    if (!storage || typeof storage !== 'object') {
+        storage = {};
+        context.set(CACHE_CONTEXT_KEY, storage, store);
+    }
+    return storage;
+}
+
+/**
+ * Load the node's store of named ranges and header rows, used when reads are cached on the message
+ */
+function loadLookupStore(node) {
+    let storage = node.context().get(LOOKUP_CONTEXT_KEY);
+
+    if (!storage || typeof storage !== 'object') {
+        storage = {};
+        node.context().set(LOOKUP_CONTEXT_KEY, storage);
+    }
+    return storage;
+}
+
+/**
+ * Write the cache store back to Node-RED context so persistent stores pick up changes
+ */
+function saveCacheStore(node, config, saveLoc) {
+    if (!config.cacheScope || config.cacheScope === 'msg') return;
+    cacheContext(node, config).set(CACHE_CONTEXT_KEY, saveLoc, config.cacheStore || undefined);
+}
+
+/**
+ * Context holding the cache store for the configured scope
+ */
+function cacheContext(node, config) {
+    return config.cacheScope === 'shared' ? node.context().global : node.context();
+}
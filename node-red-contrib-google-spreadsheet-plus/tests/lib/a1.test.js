@@ -0,0 +1,352 @@
+/**
+ * Unit tests for lib/a1.js
+ * Tests A1 and R1C1 parsing, address building and range arithmetic
+ */
+
+const a1 = require('../../lib/a1');
+
+describe('lib/a1.js', () => {
+    
+    describe('columnToLetter', () => {
+        test('Converts single letter columns', () => {
+            expect(a1.columnToLetter(1)).toBe('A');
+            expect(a1.columnToLetter(26)).toBe('Z');
+        });
+        
+        test('Converts multi letter columns', () => {
+            expect(a1.columnToLetter(27)).toBe('AA');
+            expect(a1.columnToLetter(52)).toBe('AZ');
+            expect(a1.columnToLetter(703)).toBe('AAA');
+        });
+        
+        test('Throws for invalid column numbers', () => {
+            expect(() => a1.columnToLetter(0)).toThrow('positive integer');
+            expect(() => a1.columnToLetter(1.5)).toThrow('positive integer');
+        });
+    });
+    
+    describe('letterToColumn', () => {
+        test('Converts letters to column numbers', () => {
+            expect(a1.letterToColumn('A')).toBe(1);
+            expect(a1.letterToColumn('Z')).toBe(26);
+            expect(a1.letterToColumn('AA')).toBe(27);
+            expect(a1.letterToColumn('AAA')).toBe(703);
+        });
+        
+        test('Is case-insensitive', () => {
+            expect(a1.letterToColumn('ab')).toBe(28);
+        });
+        
+        test('Throws for invalid letters', () => {
+            expect(() => a1.letterToColumn('A1')).toThrow('Invalid column letters');
+            expect(() => a1.letterToColumn(5)).toThrow('Invalid column letters');
+        });
+    });
+    
+    describe('quoteSheetName', () => {
+        test('Leaves simple names unquoted', () => {
+            expect(a1.quoteSheetName('Sheet1')).toBe('Sheet1');
+        });
+        
+        test('Quotes names with spaces and escapes quotes', () => {
+            expect(a1.quoteSheetName('My Sheet')).toBe("'My Sheet'");
+            expect(a1.quoteSheetName("Bob's")).toBe("'Bob''s'");
+        });
+        
+        test('Quotes names that look like cell references', () => {
+            expect(a1.quoteSheetName('A1')).toBe("'A1'");
+            expect(a1.quoteSheetName('R1C1')).toBe("'R1C1'");
+            expect(a1.quoteSheetName('Data2024')).toBe('Data2024');
+        });
+    });
+    
+    describe('splitSheet', () => {
+        test('Separates the sheet name from the cells', () => {
+            expect(a1.splitSheet('Sheet1!A1:B2')).toEqual({ sheet: 'Sheet1', cells: 'A1:B2' });
+            expect(a1.splitSheet("'Bob''s list'!C:D")).toEqual({ sheet: "Bob's list", cells: 'C:D' });
+        });
+        
+        test('Recognises bare cells and bare sheet names', () => {
+            expect(a1.splitSheet('A1:B2')).toEqual({ sheet: null, cells: 'A1:B2' });
+            expect(a1.splitSheet('Sheet1')).toEqual({ sheet: 'Sheet1', cells: '' });
+        });
+    });
+    
+    describe('parseRange', () => {
+        test('Parses sheet name only', () => {
+            expect(a1.parseRange('Sheet1')).toEqual({
+                sheet: 'Sheet1', startRow: null, startCol: null, endRow: null, endCol: null
+            });
+        });
+        
+        test('Parses cell range with sheet', () => {
+            expect(a1.parseRange('Sheet1!B3:D10')).toEqual({
+                sheet: 'Sheet1', startRow: 3, startCol: 2, endRow: 10, endCol: 4
+            });
+        });
+        
+        test('Parses single cell', () => {
+            expect(a1.parseRange('Sheet1!C4')).toEqual({
+                sheet: 'Sheet1', startRow: 4, startCol: 3, endRow: 4, endCol: 3
+            });
+        });
+        
+        test('Parses lower-case cells without a sheet', () => {
+            expect(a1.parseRange('a1:b2')).toEqual({ sheet: null, startRow: 1, startCol: 1, endRow: 2, endCol: 2 });
+            expect(a1.parseRange('c4')).toMatchObject({ sheet: null, startRow: 4, startCol: 3 });
+            expect(a1.parseRange('a:d')).toMatchObject({ sheet: null, startCol: 1, endCol: 4 });
+        });
+        
+        test('Orders reversed bounds', () => {
+            expect(a1.parseRange('Sheet1!D5:A1')).toEqual({ sheet: 'Sheet1', startRow: 1, startCol: 1, endRow: 5, endCol: 4 });
+            expect(a1.parseRange('B1:A3')).toMatchObject({ startRow: 1, startCol: 1, endRow: 3, endCol: 2 });
+            expect(a1.parseRange('Sheet1!5:2')).toMatchObject({ startRow: 2, endRow: 5 });
+        });
+        
+        test('Parses column and row ranges', () => {
+            expect(a1.parseRange('Sheet1!A:D')).toMatchObject({ startRow: null, startCol: 1, endRow: null, endCol: 4 });
+            expect(a1.parseRange('Sheet1!2:5')).toMatchObject({ startRow: 2, startCol: null, endRow: 5, endCol: null });
+        });
+        
+        test('Parses open ended ranges', () => {
+            expect(a1.parseRange('Sheet1!A2:D')).toMatchObject({ startRow: 2, startCol: 1, endRow: null, endCol: 4 });
+        });
+        
+        test('Parses quoted sheet names with escaped quotes', () => {
+            expect(a1.parseRange("'Bob''s Sheet'!A1:B2")).toMatchObject({ sheet: "Bob's Sheet", startRow: 1, endCol: 2 });
+            expect(a1.parseRange("'My Sheet'")).toMatchObject({ sheet: 'My Sheet', startRow: null });
+        });
+        
+        test('Parses bare cell references without a sheet', () => {
+            expect(a1.parseRange('A1:B10')).toMatchObject({ sheet: null, startRow: 1, endRow: 10 });
+            expect(a1.parseRange('C3')).toMatchObject({ sheet: null, startRow: 3, startCol: 3 });
+        });
+        
+        test('Throws for invalid input', () => {
+            expect(() => a1.parseRange('')).toThrow('non-empty string');
+            expect(() => a1.parseRange(null)).toThrow('non-empty string');
+            expect(() => a1.parseRange('Sheet1!A1:B2:C3')).toThrow('Invalid range');
+            expect(() => a1.parseRange('Sheet1!:')).toThrow('Invalid range');
+            expect(() => a1.parseRange('Sheet1!A1:')).toThrow('Invalid range');
+            expect(() => a1.parseRange('Sheet1!A0')).toThrow('Invalid range');
+            expect(() => a1.parseRange('Sheet1!ABCD1')).toThrow('Invalid range');
+        });
+    });
+    
+    describe('parseR1C1', () => {
+        test('Parses cell ranges with and without a sheet', () => {
+            expect(a1.parseR1C1('Sheet1!R2C1:R10C4')).toEqual({
+                sheet: 'Sheet1', startRow: 2, startCol: 1, endRow: 10, endCol: 4
+            });
+            expect(a1.parseR1C1('R3C2')).toEqual({ sheet: null, startRow: 3, startCol: 2, endRow: 3, endCol: 2 });
+        });
+        
+        test('Parses whole rows and columns', () => {
+            expect(a1.parseR1C1('Sheet1!R2')).toMatchObject({ startRow: 2, startCol: null, endRow: 2, endCol: null });
+            expect(a1.parseR1C1('C1:C3')).toMatchObject({ startRow: null, startCol: 1, endRow: null, endCol: 3 });
+        });
+        
+        test('Parses quoted sheet names and sheet only ranges', () => {
+            expect(a1.parseR1C1("'Bob''s'!R1C1")).toMatchObject({ sheet: "Bob's", startRow: 1 });
+            expect(a1.parseR1C1('Sheet1')).toMatchObject({ sheet: 'Sheet1', startRow: null, endCol: null });
+        });
+        
+        test('Throws for invalid input', () => {
+            expect(() => a1.parseR1C1('')).toThrow('non-empty string');
+            expect(() => a1.parseR1C1('Sheet1!A1')).toThrow('Invalid R1C1 range');
+            expect(() => a1.parseR1C1('Sheet1!R1C1:')).toThrow('Invalid R1C1 range');
+        });
+    });
+    
+    describe('toA1 and toR1C1', () => {
+        test('Format parsed ranges', () => {
+            const parsed = a1.parseRange("'My Sheet'!B2:D10");
+            expect(a1.toA1(parsed)).toBe("'My Sheet'!B2:D10");
+            expect(a1.toR1C1(parsed)).toBe("'My Sheet'!R2C2:R10C4");
+        });
+        
+        test('Keep open bounds and single cells', () => {
+            expect(a1.toA1(a1.parseR1C1('Sheet1!R2C1:C4'))).toBe('Sheet1!A2:D');
+            expect(a1.toR1C1(a1.parseRange('Sheet1!3:5'))).toBe('Sheet1!R3:R5');
+            expect(a1.toA1(a1.parseR1C1('R1C1'))).toBe('A1');
+            expect(a1.toR1C1(a1.parseRange('Sheet1'))).toBe('Sheet1');
+        });
+    });
+    
+    describe('normalizeRange', () => {
+        test('Upper-cases columns and quotes only when needed', () => {
+            expect(a1.normalizeRange('Sheet1!a1:c')).toBe('Sheet1!A1:C');
+            expect(a1.normalizeRange("'Sheet1'!A1:B10")).toBe('Sheet1!A1:B10');
+            expect(a1.normalizeRange(' Sheet1!A1:B10 ')).toBe('Sheet1!A1:B10');
+            expect(a1.normalizeRange('a1:b2')).toBe('A1:B2');
+            expect(a1.normalizeRange('Sheet1!D5:A1')).toBe('Sheet1!A1:D5');
+        });
+    });
+    
+    describe('formatCell', () => {
+        test('Builds address with sheet', () => {
+            expect(a1.formatCell('Sheet1', 4, 3)).toBe('Sheet1!C4');
+            expect(a1.formatCell('My Sheet', 1, 27)).toBe("'My Sheet'!AA1");
+        });
+        
+        test('Builds address without sheet', () => {
+            expect(a1.formatCell(null, 2, 1)).toBe('A2');
+        });
+    });
+    
+    describe('formatRange', () => {
+        test('Builds range with and without sheet', () => {
+            expect(a1.formatRange('Sheet1', 2, 1, 2, 4)).toBe('Sheet1!A2:D2');
+            expect(a1.formatRange("Bob's", 1, 2, 3, 28)).toBe("'Bob''s'!B1:AB3");
+            expect(a1.formatRange(null, 5, 3, 6, 3)).toBe('C5:C6');
+        });
+    });
+    
+    describe('header references', () => {
+        const headers = ['Name', 'Email', 'Phone'];
+        const lookup = (name) => headers.indexOf(name) + 1;
+        
+        test('Detects and lists header references', () => {
+            expect(a1.hasHeaderRefs('Sheet1!{Email}')).toBe(true);
+            expect(a1.hasHeaderRefs('Sheet1!A1:B2')).toBe(false);
+            expect(a1.hasHeaderRefs(null)).toBe(false);
+            expect(a1.headerRefs("'Q1 Sales'!{ Name }2:{Email}")).toEqual({ sheet: 'Q1 Sales', names: ['Name', 'Email'] });
+            expect(a1.headerRefs('{Phone}')).toEqual({ sheet: null, names: ['Phone'] });
+        });
+        
+        test('Resolves references to column letters', () => {
+            expect(a1.resolveHeaderRefs('Sheet1!{Name}2:{Phone}', lookup)).toBe('Sheet1!A2:C');
+            expect(a1.resolveHeaderRefs("'My Sheet'!{Email}5", lookup)).toBe("'My Sheet'!B5");
+            expect(a1.resolveHeaderRefs('Sheet1!{Email}:{Email}', lookup)).toBe('Sheet1!B:B');
+        });
+        
+        test('Resolves a lone reference to the whole column', () => {
+            expect(a1.resolveHeaderRefs('Sheet1!{Email}', lookup)).toBe('Sheet1!B:B');
+            expect(a1.resolveHeaderRefs('{Phone}', lookup)).toBe('C:C');
+        });
+        
+        test('Keeps "!" and ":" inside header names', () => {
+            expect(a1.resolveHeaderRefs('Sheet1!{Ratio a:b!}', () => 4)).toBe('Sheet1!D:D');
+        });
+        
+        test('Throws for unknown header names', () => {
+            expect(() => a1.resolveHeaderRefs('Sheet1!{Mobile}', lookup)).toThrow('Column "Mobile" not found in header row');
+        });
+    });
+    
+    describe('expandRange', () => {
+        test('Sizes a range from its top left cell', () => {
+            expect(a1.expandRange('Sheet1!B2', 3, 4)).toBe('Sheet1!B2:E4');
+            expect(a1.expandRange('Sheet1!C5:Z99', 1, 1)).toBe('Sheet1!C5');
+            expect(a1.expandRange(a1.parseRange('Sheet1'), 2, 2)).toBe('Sheet1!A1:B2');
+        });
+        
+        test('Throws for invalid sizes', () => {
+            expect(() => a1.expandRange('Sheet1!A1', 0, 1)).toThrow('positive integers');
+            expect(() => a1.expandRange('Sheet1!A1', 1, 1.5)).toThrow('positive integers');
+        });
+    });
+    
+    describe('intersectRanges', () => {
+        test('Returns the common cells', () => {
+            expect(a1.intersectRanges('Sheet1!A1:C3', 'Sheet1!B2:D4')).toBe('Sheet1!B2:C3');
+            expect(a1.intersectRanges('Sheet1!A:D', 'Sheet1!B2:Z')).toBe('Sheet1!B2:D');
+            expect(a1.intersectRanges('Sheet1!A:D', '1:5')).toBe('Sheet1!A1:D5');
+        });
+        
+        test('Returns null when ranges do not overlap', () => {
+            expect(a1.intersectRanges('Sheet1!A1:B2', 'Sheet1!C3')).toBeNull();
+            expect(a1.intersectRanges('Sheet1!A1:B2', 'Sheet2!A1')).toBeNull();
+        });
+    });
+    
+    describe('offsetRange', () => {
+        test('Moves bounded and open ended ranges', () => {
+            expect(a1.offsetRange('Sheet1!A1:B2', 2, 1)).toBe('Sheet1!B3:C4');
+            expect(a1.offsetRange('Sheet1!A2:D', 3, 0)).toBe('Sheet1!A5:D');
+            expect(a1.offsetRange(a1.parseRange('Sheet1!C3'), -2, -2)).toBe('Sheet1!A1');
+        });
+        
+        test('Throws when moved outside the sheet', () => {
+            expect(() => a1.offsetRange('Sheet1!A1', -1, 0)).toThrow('outside the sheet');
+        });
+    });
+    
+    describe('isBareName', () => {
+        test('Accepts single words that are not cell references', () => {
+            expect(a1.isBareName('Totals')).toBe(true);
+            expect(a1.isBareName('Q1_Totals')).toBe(true);
+            expect(a1.isBareName('_x')).toBe(true);
+            expect(a1.isBareName('Überblick')).toBe(true);
+        });
+        
+        test('Rejects cells, qualified ranges and other values', () => {
+            expect(a1.isBareName('A1')).toBe(false);
+            expect(a1.isBareName('b12')).toBe(false);
+            expect(a1.isBareName('Sheet1!A1')).toBe(false);
+            expect(a1.isBareName('My Sheet')).toBe(false);
+            expect(a1.isBareName('2026')).toBe(false);
+            expect(a1.isBareName(undefined)).toBe(false);
+        });
+    });
+    
+    describe('fromGridRange', () => {
+        test('Converts 0-based exclusive indexes', () => {
+            expect(a1.fromGridRange({ startRowIndex: 1, endRowIndex: 10, startColumnIndex: 1, endColumnIndex: 4 }, 'Sheet1')).toBe('Sheet1!B2:D10');
+            expect(a1.fromGridRange({ startRowIndex: 4, endRowIndex: 5, startColumnIndex: 2, endColumnIndex: 3 })).toBe('C5');
+        });
+        
+        test('Treats missing starts as the first row or column and missing ends as open', () => {
+            expect(a1.fromGridRange({ sheetId: 0, endRowIndex: 10, endColumnIndex: 4 }, 'Sheet1')).toBe('Sheet1!A1:D10');
+            expect(a1.fromGridRange({ startRowIndex: 1, startColumnIndex: 1, endColumnIndex: 3 }, 'My Sheet')).toBe("'My Sheet'!B2:C");
+            expect(a1.fromGridRange({ startColumnIndex: 2, endColumnIndex: 3 }, 'S')).toBe('S!C:C');
+            expect(a1.fromGridRange({}, 'S')).toBe('S');
+        });
+    });
+    
+    describe('toGridRange', () => {
+        test('Converts to 0-based exclusive indexes', () => {
+            expect(a1.toGridRange('Sheet1!B2:D10', 7)).toEqual({ sheetId: 7, startRowIndex: 1, endRowIndex: 10, startColumnIndex: 1, endColumnIndex: 4 });
+            expect(a1.toGridRange({ startRow: 5, endRow: 5, startCol: 3, endCol: 3 }, 0)).toEqual({ sheetId: 0, startRowIndex: 4, endRowIndex: 5, startColumnIndex: 2, endColumnIndex: 3 });
+        });
+        
+        test('Leaves out open bounds', () => {
+            expect(a1.toGridRange('A2:D', 1)).toEqual({ sheetId: 1, startRowIndex: 1, startColumnIndex: 0, endColumnIndex: 4 });
+            expect(a1.toGridRange('1:1', 1)).toEqual({ sheetId: 1, startRowIndex: 0, endRowIndex: 1 });
+            expect(a1.toGridRange('Sheet1', 1)).toEqual({ sheetId: 1 });
+        });
+    });
+    
+    describe('rangesOverlap', () => {
+        test('Detects overlapping cell ranges', () => {
+            expect(a1.rangesOverlap('Sheet1!A1:C3', 'Sheet1!B2:D4')).toBe(true);
+            expect(a1.rangesOverlap('Sheet1!A1:B2', 'Sheet1!C3:D4')).toBe(false);
+        });
+        
+        test('Treats open ended ranges as unbounded', () => {
+            expect(a1.rangesOverlap('Sheet1!A:D', 'Sheet1!C100:C101')).toBe(true);
+            expect(a1.rangesOverlap('Sheet1!A2:D', 'Sheet1!A1:D1')).toBe(false);
+            expect(a1.rangesOverlap('Sheet1', 'Sheet1!Z99')).toBe(true);
+            expect(a1.rangesOverlap('Sheet1!5:10', 'Sheet1!A1:Z4')).toBe(false);
+        });
+        
+        test('Handles reversed bounds', () => {
+            expect(a1.rangesOverlap('Sheet1!D5:A1', 'Sheet1!B2')).toBe(true);
+            expect(a1.rangesOverlap('Sheet1!D5:A1', 'Sheet1!E6')).toBe(false);
+        });
+        
+        test('Compares sheet names case-insensitively', () => {
+            expect(a1.rangesOverlap('sheet1!A1', 'Sheet1!A1')).toBe(true);
+            expect(a1.rangesOverlap('Sheet1!A1', 'Sheet2!A1')).toBe(false);
+        });
+        
+        test('Ranges without a sheet match any sheet', () => {
+            expect(a1.rangesOverlap('A1:B2', 'Sheet2!B2')).toBe(true);
+            expect(a1.rangesOverlap('a1:b2', 'Sheet2!B2')).toBe(true);
+        });
+        
+        test('Accepts parsed ranges', () => {
+            expect(a1.rangesOverlap(a1.parseRange('Sheet1!A1:B2'), 'Sheet1!B2')).toBe(true);
+        });
+    });
+});
@@ -1,6 +1,6 @@
 /**
  * Unit tests for CacheService
- * Tests caching operations: get, set, invalidate, has
+ * Tests caching operations: get, set, invalidate, has, expiry and eviction
  */
 
 const CacheService = require('../../../lib/services/CacheService');
@@ -122,4 +122,292 @@ describe('CacheService', () => {
             expect(cacheService.has(storage, 'key')).toBe(true);
         });
     });
+    
+    describe('metadata', () => {
+        let now;
+        
+        beforeEach(() => {
+            now = 1000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+        });
+        
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+        
+        test('Records fetch metadata on set', () => {
+            cacheService.set(storage, 'key', [[1, 2]]);
+            now = 1500;
+            expect(cacheService.getMetadata(storage, 'key')).toEqual({
+                fetchedAt: 1000,
+                hits: 0,
+                age: 500,
+                expiresAt: null,
+                bytes: 7
+            });
+        });
+        
+        test('Counts hits', () => {
+            cacheService.set(storage, 'key', [[1]]);
+            cacheService.recordHit(storage, 'key');
+            const meta = cacheService.recordHit(storage, 'key');
+            expect(meta.hits).toBe(2);
+        });
+        
+        test('Returns undefined for untracked entries', () => {
+            storage.key = 'value';
+            expect(cacheService.getMetadata(storage, 'key')).toBeUndefined();
+            expect(cacheService.recordHit(storage, 'key')).toBeUndefined();
+        });
+        
+        test('Removes metadata on invalidate', () => {
+            cacheService.set(storage, 'key', [[1]]);
+            cacheService.invalidate(storage, 'key');
+            expect(cacheService.getMetadata(storage, 'key')).toBeUndefined();
+        });
+        
+        test('Replaces a non-object metadata property', () => {
+            storage._meta = 'broken';
+            cacheService.set(storage, 'key', [[1]]);
+            expect(cacheService.getMetadata(storage, 'key').hits).toBe(0);
+        });
+        
+        test('Estimates size of unserializable values as 0', () => {
+            const circular = {};
+            circular.self = circular;
+            expect(CacheService.estimateSize(circular)).toBe(0);
+            expect(CacheService.estimateSize(undefined)).toBe(0);
+        });
+    });
+    
+    describe('ttl', () => {
+        let now;
+        
+        beforeEach(() => {
+            now = 1000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+            cacheService = new CacheService({ ttl: 60000 });
+        });
+        
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+        
+        test('Serves entries before expiry', () => {
+            cacheService.set(storage, 'key', [[1]]);
+            now = 60999;
+            expect(cacheService.has(storage, 'key')).toBe(true);
+            expect(cacheService.getMetadata(storage, 'key').expiresAt).toBe(61000);
+        });
+        
+        test('Expires entries after ttl', () => {
+            cacheService.set(storage, 'key', [[1]]);
+            now = 61000;
+            expect(cacheService.isExpired(storage, 'key')).toBe(true);
+            expect(cacheService.get(storage, 'key')).toBeUndefined();
+            expect('key' in storage).toBe(false);
+            expect(cacheService.getMetadata(storage, 'key')).toBeUndefined();
+        });
+        
+        test('Never expires entries without metadata', () => {
+            storage.key = [[1]];
+            now = 10000000;
+            expect(cacheService.has(storage, 'key')).toBe(true);
+        });
+    });
+    
+    describe('eviction', () => {
+        let now;
+        
+        beforeEach(() => {
+            now = 1000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now++);
+        });
+        
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+        
+        test('Evicts least recently used entries beyond maxEntries', () => {
+            cacheService = new CacheService({ maxEntries: 2 });
+            cacheService.set(storage, 'a', [[1]]);
+            cacheService.set(storage, 'b', [[2]]);
+            cacheService.recordHit(storage, 'a');
+            cacheService.set(storage, 'c', [[3]]);
+            
+            expect(cacheService.has(storage, 'a')).toBe(true);
+            expect(cacheService.has(storage, 'b')).toBe(false);
+            expect(cacheService.has(storage, 'c')).toBe(true);
+        });
+        
+        test('Evicts entries beyond maxBytes', () => {
+            cacheService = new CacheService({ maxBytes: 20 });
+            cacheService.set(storage, 'a', [['aaaaaa']]);
+            cacheService.set(storage, 'b', [['bbbbbb']]);
+            
+            expect(cacheService.has(storage, 'a')).toBe(false);
+            expect(cacheService.has(storage, 'b')).toBe(true);
+        });
+        
+        test('Does not cache a single entry larger than maxBytes', () => {
+            cacheService = new CacheService({ maxBytes: 5 });
+            cacheService.set(storage, 'a', [['too large']]);
+            expect(cacheService.has(storage, 'a')).toBe(false);
+        });
+        
+        test('Evicts nested keys', () => {
+            cacheService = new CacheService({ maxEntries: 1 });
+            cacheService.set(storage, 'x.a', [[1]]);
+            cacheService.set(storage, 'x.b', [[2]]);
+            expect(storage.x.a).toBeUndefined();
+            expect(storage.x.b).toEqual([[2]]);
+        });
+    });
+    
+    describe('invalidateRange', () => {
+        test('Invalidates entries overlapping the range on the same sheet', () => {
+            cacheService.set(storage, 'Sheet1_A_D', [[1]], { range: 'Sheet1!A:D' });
+            cacheService.set(storage, 'Sheet1_F1_G5', [[2]], { range: 'Sheet1!F1:G5' });
+            cacheService.set(storage, 'Sheet2_A_D', [[3]], { range: 'Sheet2!A:D' });
+            
+            const keys = cacheService.invalidateRange(storage, 'Sheet1!A11:D12');
+            
+            expect(keys).toEqual(['Sheet1_A_D']);
+            expect(cacheService.has(storage, 'Sheet1_A_D')).toBe(false);
+            expect(cacheService.has(storage, 'Sheet1_F1_G5')).toBe(true);
+            expect(cacheService.has(storage, 'Sheet2_A_D')).toBe(true);
+        });
+        
+        test('Ignores entries without a recorded range', () => {
+            cacheService.set(storage, 'key', [[1]]);
+            expect(cacheService.invalidateRange(storage, 'Sheet1')).toEqual([]);
+            expect(cacheService.has(storage, 'key')).toBe(true);
+        });
+        
+        test('Invalidates entries with unparsable ranges', () => {
+            cacheService.set(storage, 'named', [[1]], { range: 'Sheet1!A1:B2:C3' });
+            expect(cacheService.invalidateRange(storage, 'Sheet1!A1')).toEqual(['named']);
+        });
+        
+        test('Returns empty list when nothing is cached', () => {
+            expect(cacheService.invalidateRange(storage, 'Sheet1')).toEqual([]);
+        });
+        
+        test('Only matches entries from the same spreadsheet', () => {
+            cacheService.set(storage, 'one', [[1]], { range: 'Sheet1!A:D', spreadsheetId: 'id-1' });
+            cacheService.set(storage, 'two', [[2]], { range: 'Sheet1!A:D', spreadsheetId: 'id-2' });
+            cacheService.set(storage, 'any', [[3]], { range: 'Sheet1!A:D' });
+            
+            expect(cacheService.invalidateRange(storage, 'Sheet1!A1', 'id-1')).toEqual(['one', 'any']);
+            expect(cacheService.has(storage, 'two')).toBe(true);
+        });
+    });
+    
+    describe('patchRange', () => {
+        test('Writes updated cells into overlapping cached arrays', () => {
+            cacheService.set(storage, 'k', [['a', 'b'], [1, 2]], { range: 'Sheet1!A1:B3', majorDimension: 'ROWS' });
+            
+            const keys = cacheService.patchRange(storage, 'Sheet1!B2:C2', [[20, 30]]);
+            
+            expect(keys).toEqual(['k']);
+            expect(cacheService.get(storage, 'k')).toEqual([['a', 'b'], [1, 20]]);
+        });
+        
+        test('Extends trimmed rows for appended data', () => {
+            cacheService.set(storage, 'k', [['a', 'b'], [1, 2]], { range: 'Sheet1!A:D' });
+            
+            cacheService.patchRange(storage, 'Sheet1!A4:B4', [[5, 6]]);
+            
+            expect(cacheService.get(storage, 'k')).toEqual([['a', 'b'], [1, 2], [], [5, 6]]);
+        });
+        
+        test('Fills gaps and honours the cached range origin', () => {
+            cacheService.set(storage, 'k', [['x']], { range: 'Sheet1!B2:D4' });
+            
+            cacheService.patchRange(storage, 'Sheet1!D2', [['y']]);
+            cacheService.patchRange(storage, 'Sheet1!A1:B2', [['out', 'out'], ['out', 'z']]);
+            
+            expect(cacheService.get(storage, 'k')).toEqual([['z', '', 'y']]);
+        });
+        
+        test('Keeps cached cells written as null', () => {
+            cacheService.set(storage, 'k', [['id', 'name', 'qty'], ['1', 'Apple', '5']], { range: 'Sheet1!A1:C' });
+            cacheService.patchRange(storage, 'Sheet1!A2:C2', [['1', null, 9]]);
+            expect(cacheService.get(storage, 'k')).toEqual([['id', 'name', 'qty'], ['1', 'Apple', 9]]);
+        });
+        
+        test('Accepts single row values', () => {
+            cacheService.set(storage, 'k', [['a']], { range: 'Sheet1!A1:B1' });
+            cacheService.patchRange(storage, 'Sheet1!B1', ['b']);
+            expect(cacheService.get(storage, 'k')).toEqual([['a', 'b']]);
+        });
+        
+        test('Invalidates column-major and unpatchable entries', () => {
+            cacheService.set(storage, 'cols', [['a']], { range: 'Sheet1!A:B', majorDimension: 'COLUMNS' });
+            cacheService.set(storage, 'bad', [['a']], { range: 'Sheet1!A1:B2:C3' });
+            cacheService.set(storage, 'obj', { a: 1 }, { range: 'Sheet1!A1' });
+            
+            expect(cacheService.patchRange(storage, 'Sheet1!A1', [[1]])).toEqual([]);
+            expect(cacheService.has(storage, 'cols')).toBe(false);
+            expect(cacheService.has(storage, 'bad')).toBe(false);
+            expect(cacheService.has(storage, 'obj')).toBe(false);
+        });
+        
+        test('Invalidates overlapping entries when the written range is unparsable', () => {
+            cacheService.set(storage, 'k', [['a']], { range: 'Sheet1!A1' });
+            expect(cacheService.patchRange(storage, 'Sheet1!A1:B2:C3', [[1]])).toEqual([]);
+            expect(cacheService.has(storage, 'k')).toBe(false);
+        });
+        
+        test('Only patches entries from the same spreadsheet', () => {
+            cacheService.set(storage, 'one', [['a']], { range: 'Sheet1!A:B', spreadsheetId: 'id-1' });
+            cacheService.set(storage, 'two', [['a']], { range: 'Sheet1!A:B', spreadsheetId: 'id-2' });
+            
+            expect(cacheService.patchRange(storage, 'Sheet1!B1', [['b']], 'id-1')).toEqual(['one']);
+            expect(cacheService.get(storage, 'two')).toEqual([['a']]);
+        });
+        
+        test('Does nothing on an empty store with limits set', () => {
+            cacheService = new CacheService({ maxEntries: 5, maxBytes: 1024 });
+            const empty = {};
+            
+            expect(cacheService.patchRange(empty, 'Sheet1!A2:C2', [['a', 'b', 'c']])).toEqual([]);
+            expect(empty).toEqual({});
+        });
+        
+        test('Updates size metadata after patching', () => {
+            cacheService.set(storage, 'k', [['a']], { range: 'Sheet1!A:Z' });
+            const before = cacheService.getMetadata(storage, 'k').bytes;
+            cacheService.patchRange(storage, 'Sheet1!A2:C2', [['long value', 'x', 'y']]);
+            expect(cacheService.getMetadata(storage, 'k').bytes).toBeGreaterThan(before);
+            expect(cacheService.getMetadata(storage, 'k').range).toBe('Sheet1!A:Z');
+        });
+    });
+    
+    describe('buildKey', () => {
+        test('Combines spreadsheet, range, dimension and render option', () => {
+            expect(CacheService.buildKey('abc', 'Sheet1!A:D', 'COLUMNS', 'UNFORMATTED_VALUE'))
+                .toBe('abc|Sheet1!A%3AD|COLUMNS|UNFORMATTED_VALUE');
+        });
+        
+        test('Uses defaults for dimension and render option', () => {
+            expect(CacheService.buildKey('abc', 'Sheet1')).toBe('abc|Sheet1|ROWS|FORMATTED_VALUE');
+        });
+        
+        test('Appends the date/time render option when given', () => {
+            expect(CacheService.buildKey('abc', 'Sheet1', 'ROWS', 'UNFORMATTED_VALUE', 'FORMATTED_STRING'))
+                .toBe('abc|Sheet1|ROWS|UNFORMATTED_VALUE|FORMATTED_STRING');
+        });
+        
+        test('Differs between spreadsheets with the same range', () => {
+            expect(CacheService.buildKey('one', 'Sheet1!A:D')).not.toBe(CacheService.buildKey('two', 'Sheet1!A:D'));
+        });
+        
+        test('Escapes dots so keys are not treated as nested paths', () => {
+            const key = CacheService.buildKey('abc', "'v1.2'!A1");
+            expect(key).not.toContain('.');
+            cacheService.set(storage, key, [[1]]);
+            expect(cacheService.get(storage, key)).toEqual([[1]]);
+        });
+    });
 });
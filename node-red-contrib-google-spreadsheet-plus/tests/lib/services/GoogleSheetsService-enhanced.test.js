@@ -2,6 +2,8 @@
  * Additional tests for enhanced error handling in GoogleSheetsService
  */
 const GoogleSheetsService = require('../../../lib/services/GoogleSheetsService');
+const RetryPolicy = require('../../../lib/utils/RetryPolicy');
+const RateLimiter = require('../../../lib/utils/RateLimiter');
 
 describe('GoogleSheetsService - Enhanced Error Handling', () => {
     let service;
@@ -68,6 +70,30 @@ describe('GoogleSheetsService - Enhanced Error Handling', () => {
             expect(enhanced.operation).toBe('clear');
         });
 
+        it('should extract Retry-After from plain header objects', () => {
+            const originalError = new Error('Quota exceeded');
+            originalError.response = { status: 429, headers: { 'retry-after': '3' } };
+            const enhanced = service._enhanceError(originalError, 'get', 'ABC123', 'Sheet1');
+
+            expect(enhanced.retryAfter).toBe(3000);
+        });
+
+        it('should extract Retry-After from fetch Headers', () => {
+            const originalError = new Error('Quota exceeded');
+            originalError.response = { status: 429, headers: new Headers({ 'Retry-After': '1' }) };
+            const enhanced = service._enhanceError(originalError, 'get', 'ABC123', 'Sheet1');
+
+            expect(enhanced.retryAfter).toBe(1000);
+        });
+
+        it('should ignore missing Retry-After', () => {
+            const originalError = new Error('Server error');
+            originalError.response = { status: 500, headers: {} };
+            const enhanced = service._enhanceError(originalError, 'get', 'ABC123', 'Sheet1');
+
+            expect(enhanced.retryAfter).toBeUndefined();
+        });
+
         it('should handle different operations', () => {
             const operations = ['get', 'set', 'clear', 'cell'];
             
@@ -172,6 +198,275 @@ describe('GoogleSheetsService - Enhanced Error Handling', () => {
         });
     });
 
+    describe('getValues render options', () => {
+        it('should request unformatted values and formulas', async () => {
+            const get = jest.fn().mockResolvedValue({ data: { values: [[1234, 45658]] } });
+            service._getSheetsClient = jest.fn().mockReturnValue({ spreadsheets: { values: { get } } });
+
+            const result = await service.getValues(mockAuth, 'ABC123', 'Sheet1', { valueRenderOption: 'FORMULA', dateTimeRenderOption: 'FORMATTED_STRING' });
+
+            expect(get).toHaveBeenCalledWith({
+                spreadsheetId: 'ABC123',
+                range: 'Sheet1',
+                majorDimension: 'ROWS',
+                valueRenderOption: 'FORMULA',
+                dateTimeRenderOption: 'FORMATTED_STRING'
+            });
+            expect(result.values).toEqual([[1234, 45658]]);
+        });
+    });
+
+    describe('batchGetValues', () => {
+        let batchGet;
+
+        beforeEach(() => {
+            batchGet = jest.fn().mockResolvedValue({ data: { valueRanges: [{ range: 'Sheet1!A1:B2', values: [[1]] }] } });
+            service._getSheetsClient = jest.fn().mockReturnValue({ spreadsheets: { values: { batchGet } } });
+        });
+
+        it('should request all ranges in one call', async () => {
+            const result = await service.batchGetValues(mockAuth, 'ABC123', ['Sheet1!A1:B2', 'Sheet2'], { majorDimension: 'COLUMNS' });
+
+            expect(batchGet).toHaveBeenCalledWith({
+                spreadsheetId: 'ABC123',
+                ranges: ['Sheet1!A1:B2', 'Sheet2'],
+                majorDimension: 'COLUMNS'
+            });
+            expect(result.valueRanges).toHaveLength(1);
+        });
+
+        it('should default to ROWS', async () => {
+            await service.batchGetValues(mockAuth, 'ABC123', ['Sheet1']);
+            expect(batchGet.mock.calls[0][0].majorDimension).toBe('ROWS');
+        });
+
+        it('should pass render options only when set', async () => {
+            await service.batchGetValues(mockAuth, 'ABC123', ['Sheet1'], { valueRenderOption: 'UNFORMATTED_VALUE', dateTimeRenderOption: 'SERIAL_NUMBER' });
+            expect(batchGet.mock.calls[0][0]).toMatchObject({ valueRenderOption: 'UNFORMATTED_VALUE', dateTimeRenderOption: 'SERIAL_NUMBER' });
+
+            await service.batchGetValues(mockAuth, 'ABC123', ['Sheet1']);
+            expect(batchGet.mock.calls[1][0]).not.toHaveProperty('valueRenderOption');
+            expect(batchGet.mock.calls[1][0]).not.toHaveProperty('dateTimeRenderOption');
+        });
+
+        it('should validate parameters', async () => {
+            await expect(service.batchGetValues(null, 'ABC123', ['Sheet1'])).rejects.toThrow('Auth client is required');
+            await expect(service.batchGetValues(mockAuth, '', ['Sheet1'])).rejects.toThrow('Spreadsheet ID is required');
+            await expect(service.batchGetValues(mockAuth, 'ABC123', [])).rejects.toThrow('Ranges must be a non-empty array');
+        });
+
+        it('should enhance errors with every requested range', async () => {
+            const apiError = new Error('Unable to parse range');
+            apiError.response = { status: 400 };
+            batchGet.mockRejectedValue(apiError);
+
+            await expect(service.batchGetValues(mockAuth, 'ABC123', ['Sheet1!A1', 'Nope'])).rejects.toMatchObject({
+                operation: 'batchGet',
+                range: 'Sheet1!A1,Nope',
+                statusCode: 400
+            });
+        });
+    });
+
+    describe('setValues write options', () => {
+        let sheetsValues;
+
+        beforeEach(() => {
+            sheetsValues = {
+                append: jest.fn().mockResolvedValue({ data: {} }),
+                update: jest.fn().mockResolvedValue({ data: {} })
+            };
+            service._getSheetsClient = jest.fn().mockReturnValue({ spreadsheets: { values: sheetsValues } });
+        });
+
+        it('should send RAW values and the insert data option on append', async () => {
+            await service.setValues(mockAuth, 'ABC123', 'Sheet1', [['=1+1']], 'append', { valueInputOption: 'RAW', insertDataOption: 'INSERT_ROWS' });
+
+            expect(sheetsValues.append).toHaveBeenCalledWith({
+                spreadsheetId: 'ABC123',
+                range: 'Sheet1',
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: [['=1+1']] }
+            });
+        });
+
+        it('should default to USER_ENTERED and ignore the insert data option on update', async () => {
+            await service.setValues(mockAuth, 'ABC123', 'Sheet1!A1', [[1]], 'update', { insertDataOption: 'INSERT_ROWS' });
+
+            expect(sheetsValues.update.mock.calls[0][0].valueInputOption).toBe('USER_ENTERED');
+            expect(sheetsValues.update.mock.calls[0][0]).not.toHaveProperty('insertDataOption');
+        });
+
+        it('should request the written values only when asked', async () => {
+            await service.setValues(mockAuth, 'ABC123', 'Sheet1!A1', [['=1+1']], 'update', { includeValuesInResponse: true });
+            await service.setValues(mockAuth, 'ABC123', 'Sheet1!A1', [['=1+1']], 'update');
+
+            expect(sheetsValues.update.mock.calls[0][0].includeValuesInResponse).toBe(true);
+            expect(sheetsValues.update.mock.calls[1][0]).not.toHaveProperty('includeValuesInResponse');
+        });
+    });
+
+    describe('batchUpdateValues', () => {
+        let batchUpdate;
+        const data = [
+            { range: 'Sheet1!A1', values: [[1]] },
+            { range: 'Sheet2!B2', values: [[2, 3]] }
+        ];
+
+        beforeEach(() => {
+            batchUpdate = jest.fn().mockResolvedValue({ data: { totalUpdatedCells: 3, responses: [] } });
+            service._getSheetsClient = jest.fn().mockReturnValue({ spreadsheets: { values: { batchUpdate } } });
+        });
+
+        it('should write all ranges in one call', async () => {
+            const result = await service.batchUpdateValues(mockAuth, 'ABC123', data);
+
+            expect(batchUpdate).toHaveBeenCalledWith({
+                spreadsheetId: 'ABC123',
+                resource: { valueInputOption: 'USER_ENTERED', data }
+            });
+            expect(result.totalUpdatedCells).toBe(3);
+        });
+
+        it('should pass the value input option and request written values', async () => {
+            await service.batchUpdateValues(mockAuth, 'ABC123', data, { valueInputOption: 'RAW', includeValuesInResponse: true });
+            expect(batchUpdate.mock.calls[0][0].resource).toMatchObject({ valueInputOption: 'RAW', includeValuesInResponse: true });
+        });
+
+        it('should validate parameters', async () => {
+            await expect(service.batchUpdateValues(null, 'ABC123', data)).rejects.toThrow('Auth client is required');
+            await expect(service.batchUpdateValues(mockAuth, '', data)).rejects.toThrow('Spreadsheet ID is required');
+            await expect(service.batchUpdateValues(mockAuth, 'ABC123', [])).rejects.toThrow('Data must be a non-empty array');
+        });
+
+        it('should enhance errors with every written range', async () => {
+            const apiError = new Error('Permission denied');
+            apiError.response = { status: 403 };
+            batchUpdate.mockRejectedValue(apiError);
+
+            await expect(service.batchUpdateValues(mockAuth, 'ABC123', data)).rejects.toMatchObject({
+                operation: 'batchUpdate',
+                range: 'Sheet1!A1,Sheet2!B2',
+                statusCode: 403
+            });
+        });
+    });
+
+    describe('getSpreadsheet', () => {
+        let get;
+
+        beforeEach(() => {
+            get = jest.fn().mockResolvedValue({ data: { sheets: [{ properties: { sheetId: 0, title: 'Sheet1' } }] } });
+            service._getSheetsClient = jest.fn().mockReturnValue({ spreadsheets: { get } });
+        });
+
+        it('should pass the field mask when given', async () => {
+            const result = await service.getSpreadsheet(mockAuth, 'ABC123', { fields: 'sheets.properties' });
+
+            expect(get).toHaveBeenCalledWith({ spreadsheetId: 'ABC123', fields: 'sheets.properties' });
+            expect(result.sheets[0].properties.title).toBe('Sheet1');
+        });
+
+        it('should request the full resource by default', async () => {
+            await service.getSpreadsheet(mockAuth, 'ABC123');
+            expect(get).toHaveBeenCalledWith({ spreadsheetId: 'ABC123' });
+        });
+
+        it('should validate parameters and enhance errors', async () => {
+            await expect(service.getSpreadsheet(null, 'ABC123')).rejects.toThrow('Auth client is required');
+            await expect(service.getSpreadsheet(mockAuth, '')).rejects.toThrow('Spreadsheet ID is required');
+
+            const apiError = new Error('Not found');
+            apiError.response = { status: 404 };
+            get.mockRejectedValue(apiError);
+            await expect(service.getSpreadsheet(mockAuth, 'ABC123')).rejects.toMatchObject({ operation: 'getSpreadsheet', statusCode: 404 });
+        });
+    });
+
+    describe('batchUpdateSpreadsheet', () => {
+        let batchUpdate;
+        const requests = [{ deleteDimension: { range: { sheetId: 0, dimension: 'ROWS', startIndex: 4, endIndex: 5 } } }];
+
+        beforeEach(() => {
+            batchUpdate = jest.fn().mockResolvedValue({ data: { replies: [{}] } });
+            service._getSheetsClient = jest.fn().mockReturnValue({ spreadsheets: { batchUpdate } });
+        });
+
+        it('should send all requests in one call', async () => {
+            const result = await service.batchUpdateSpreadsheet(mockAuth, 'ABC123', requests);
+
+            expect(batchUpdate).toHaveBeenCalledWith({ spreadsheetId: 'ABC123', resource: { requests } });
+            expect(result.replies).toHaveLength(1);
+        });
+
+        it('should validate parameters and enhance errors', async () => {
+            await expect(service.batchUpdateSpreadsheet(null, 'ABC123', requests)).rejects.toThrow('Auth client is required');
+            await expect(service.batchUpdateSpreadsheet(mockAuth, '', requests)).rejects.toThrow('Spreadsheet ID is required');
+            await expect(service.batchUpdateSpreadsheet(mockAuth, 'ABC123', [])).rejects.toThrow('Requests must be a non-empty array');
+
+            const apiError = new Error('Invalid requests[0]');
+            apiError.response = { status: 400 };
+            batchUpdate.mockRejectedValue(apiError);
+            await expect(service.batchUpdateSpreadsheet(mockAuth, 'ABC123', requests)).rejects.toMatchObject({ operation: 'batchUpdateSpreadsheet', statusCode: 400 });
+        });
+    });
+
+    describe('createSpreadsheet', () => {
+        let create;
+        const resource = { properties: { title: 'Report' }, sheets: [{ properties: { title: 'Orders' } }] };
+
+        beforeEach(() => {
+            create = jest.fn().mockResolvedValue({ data: { spreadsheetId: 'NEW123', spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/NEW123/edit' } });
+            service._getSheetsClient = jest.fn().mockReturnValue({ spreadsheets: { create } });
+        });
+
+        it('should create the spreadsheet from the resource', async () => {
+            const result = await service.createSpreadsheet(mockAuth, resource);
+
+            expect(create).toHaveBeenCalledWith({ resource });
+            expect(result.spreadsheetId).toBe('NEW123');
+        });
+
+        it('should validate arguments and enhance API errors', async () => {
+            await expect(service.createSpreadsheet(null, resource)).rejects.toThrow('Auth client is required');
+            await expect(service.createSpreadsheet(mockAuth)).rejects.toThrow('Spreadsheet resource is required');
+
+            const apiError = new Error('The caller does not have permission');
+            apiError.response = { status: 403 };
+            create.mockRejectedValue(apiError);
+            await expect(service.createSpreadsheet(mockAuth, resource)).rejects.toMatchObject({ operation: 'createSpreadsheet', statusCode: 403 });
+        });
+    });
+
+    describe('copySheetTo', () => {
+        let copyTo;
+
+        beforeEach(() => {
+            copyTo = jest.fn().mockResolvedValue({ data: { sheetId: 77, title: 'Copy of Report', index: 2 } });
+            service._getSheetsClient = jest.fn().mockReturnValue({ spreadsheets: { sheets: { copyTo } } });
+        });
+
+        it('should copy the tab into the destination spreadsheet', async () => {
+            const result = await service.copySheetTo(mockAuth, 'TEMPLATE', 5, 'ABC123');
+
+            expect(copyTo).toHaveBeenCalledWith({ spreadsheetId: 'TEMPLATE', sheetId: 5, resource: { destinationSpreadsheetId: 'ABC123' } });
+            expect(result).toEqual({ sheetId: 77, title: 'Copy of Report', index: 2 });
+        });
+
+        it('should validate arguments and enhance API errors', async () => {
+            await expect(service.copySheetTo(null, 'TEMPLATE', 5, 'ABC123')).rejects.toThrow('Auth client is required');
+            await expect(service.copySheetTo(mockAuth, '', 5, 'ABC123')).rejects.toThrow('Spreadsheet ID is required');
+            await expect(service.copySheetTo(mockAuth, 'TEMPLATE', 'Report', 'ABC123')).rejects.toThrow('Sheet ID must be an integer');
+            await expect(service.copySheetTo(mockAuth, 'TEMPLATE', 5, '')).rejects.toThrow('Destination spreadsheet ID is required');
+
+            const apiError = new Error('Requested entity was not found.');
+            apiError.response = { status: 404 };
+            copyTo.mockRejectedValue(apiError);
+            await expect(service.copySheetTo(mockAuth, 'TEMPLATE', 5, 'ABC123')).rejects.toMatchObject({ operation: 'copySheetTo', spreadsheetId: 'TEMPLATE', statusCode: 404 });
+        });
+    });
+
     describe('Integration with error context', () => {
         beforeEach(() => {
             service._getSheetsClient = jest.fn().mockReturnValue({
@@ -241,4 +536,193 @@ describe('GoogleSheetsService - Enhanced Error Handling', () => {
             }
         });
     });
+
+    describe('Retries', () => {
+        let sheetsClient;
+
+        beforeEach(() => {
+            const retryPolicy = new RetryPolicy({ maxRetries: 2, baseDelay: 0 });
+            jest.spyOn(retryPolicy, 'sleep').mockResolvedValue();
+            service = new GoogleSheetsService({ retryPolicy });
+            sheetsClient = {
+                spreadsheets: {
+                    values: {
+                        get: jest.fn(),
+                        update: jest.fn(),
+                        append: jest.fn(),
+                        clear: jest.fn()
+                    }
+                }
+            };
+            service._getSheetsClient = jest.fn().mockReturnValue(sheetsClient);
+        });
+
+        function rateLimitError() {
+            const err = new Error('Quota exceeded');
+            err.response = { status: 429 };
+            return err;
+        }
+
+        it('should not retry by default', async () => {
+            service = new GoogleSheetsService();
+            service._getSheetsClient = jest.fn().mockReturnValue(sheetsClient);
+            sheetsClient.spreadsheets.values.get.mockRejectedValue(rateLimitError());
+
+            await expect(service.getValues(mockAuth, 'ABC123', 'Sheet1')).rejects.toMatchObject({ statusCode: 429 });
+            expect(sheetsClient.spreadsheets.values.get).toHaveBeenCalledTimes(1);
+        });
+
+        it('should retry rate limited reads', async () => {
+            sheetsClient.spreadsheets.values.get
+                .mockRejectedValueOnce(rateLimitError())
+                .mockResolvedValue({ data: { values: [[1]] } });
+
+            const result = await service.getValues(mockAuth, 'ABC123', 'Sheet1');
+
+            expect(result.values).toEqual([[1]]);
+            expect(sheetsClient.spreadsheets.values.get).toHaveBeenCalledTimes(2);
+        });
+
+        it('should retry writes and clears', async () => {
+            sheetsClient.spreadsheets.values.append
+                .mockRejectedValueOnce(rateLimitError())
+                .mockResolvedValue({ data: {} });
+            sheetsClient.spreadsheets.values.clear
+                .mockRejectedValueOnce(rateLimitError())
+                .mockResolvedValue({ data: {} });
+
+            await service.setValues(mockAuth, 'ABC123', 'Sheet1', [[1]]);
+            await service.clearValues(mockAuth, 'ABC123', 'Sheet1');
+
+            expect(sheetsClient.spreadsheets.values.append).toHaveBeenCalledTimes(2);
+            expect(sheetsClient.spreadsheets.values.clear).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not retry appends, spreadsheet batch updates, creates or tab copies on server errors', async () => {
+            const serverError = new Error('Backend Error');
+            serverError.response = { status: 503 };
+            sheetsClient.spreadsheets.values.append.mockRejectedValue(serverError);
+            sheetsClient.spreadsheets.batchUpdate = jest.fn().mockRejectedValue(serverError);
+            sheetsClient.spreadsheets.create = jest.fn().mockRejectedValue(serverError);
+            sheetsClient.spreadsheets.sheets = { copyTo: jest.fn().mockRejectedValue(serverError) };
+
+            await expect(service.setValues(mockAuth, 'ABC123', 'Sheet1', [[1]])).rejects.toMatchObject({ statusCode: 503 });
+            await expect(service.batchUpdateSpreadsheet(mockAuth, 'ABC123', [{ deleteDimension: {} }])).rejects.toMatchObject({ statusCode: 503 });
+            await expect(service.createSpreadsheet(mockAuth, { properties: { title: 'New' } })).rejects.toMatchObject({ statusCode: 503 });
+            await expect(service.copySheetTo(mockAuth, 'ABC123', 0, 'DEF456')).rejects.toMatchObject({ statusCode: 503 });
+
+            expect(sheetsClient.spreadsheets.values.append).toHaveBeenCalledTimes(1);
+            expect(sheetsClient.spreadsheets.batchUpdate).toHaveBeenCalledTimes(1);
+            expect(sheetsClient.spreadsheets.create).toHaveBeenCalledTimes(1);
+            expect(sheetsClient.spreadsheets.sheets.copyTo).toHaveBeenCalledTimes(1);
+        });
+
+        it('should retry updates on server errors', async () => {
+            const serverError = new Error('Backend Error');
+            serverError.response = { status: 503 };
+            sheetsClient.spreadsheets.values.update
+                .mockRejectedValueOnce(serverError)
+                .mockResolvedValue({ data: {} });
+
+            await service.setValues(mockAuth, 'ABC123', 'Sheet1!A1', [[1]], 'update');
+
+            expect(sheetsClient.spreadsheets.values.update).toHaveBeenCalledTimes(2);
+        });
+
+        it('should report retries to a scoped listener only', async () => {
+            const onRetry = jest.fn();
+            const scoped = service.withListeners({ onRetry });
+            sheetsClient.spreadsheets.values.get
+                .mockRejectedValueOnce(rateLimitError())
+                .mockRejectedValueOnce(rateLimitError())
+                .mockResolvedValue({ data: {} });
+
+            await scoped.getValues(mockAuth, 'ABC123', 'Sheet1');
+
+            expect(onRetry).toHaveBeenCalledTimes(2);
+            expect(onRetry.mock.calls[0][2]).toMatchObject({ statusCode: 429, operation: 'get' });
+            expect(service.onRetry).toBeNull();
+            expect(scoped.retryPolicy).toBe(service.retryPolicy);
+        });
+
+        it('should throw the enhanced error after the last retry', async () => {
+            sheetsClient.spreadsheets.values.update.mockRejectedValue(rateLimitError());
+
+            await expect(service.setValues(mockAuth, 'ABC123', 'Sheet1!A1', [[1]], 'update'))
+                .rejects.toMatchObject({ operation: 'set', statusCode: 429 });
+            expect(sheetsClient.spreadsheets.values.update).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('Rate limits', () => {
+        let sheetsClient;
+        let rateLimits;
+
+        beforeEach(() => {
+            rateLimits = {
+                read: new RateLimiter({ perMinute: 60 }),
+                write: new RateLimiter({ perMinute: 60 })
+            };
+            jest.spyOn(rateLimits.read, 'acquire');
+            jest.spyOn(rateLimits.write, 'acquire');
+            service = new GoogleSheetsService({ rateLimits });
+            sheetsClient = {
+                spreadsheets: {
+                    values: {
+                        get: jest.fn().mockResolvedValue({ data: {} }),
+                        append: jest.fn().mockResolvedValue({ data: {} }),
+                        clear: jest.fn().mockResolvedValue({ data: {} })
+                    }
+                }
+            };
+            service._getSheetsClient = jest.fn().mockReturnValue(sheetsClient);
+        });
+
+        it('should take reads from the read budget', async () => {
+            sheetsClient.spreadsheets.values.batchGet = jest.fn().mockResolvedValue({ data: {} });
+            await service.getValues(mockAuth, 'ABC123', 'Sheet1');
+            await service.batchGetValues(mockAuth, 'ABC123', ['Sheet1', 'Sheet2']);
+
+            expect(rateLimits.read.acquire).toHaveBeenCalledTimes(2);
+            expect(rateLimits.write.acquire).not.toHaveBeenCalled();
+        });
+
+        it('should take writes and clears from the write budget', async () => {
+            sheetsClient.spreadsheets.values.batchUpdate = jest.fn().mockResolvedValue({ data: {} });
+            await service.setValues(mockAuth, 'ABC123', 'Sheet1', [[1]]);
+            await service.clearValues(mockAuth, 'ABC123', 'Sheet1');
+            await service.batchUpdateValues(mockAuth, 'ABC123', [{ range: 'Sheet1!A1', values: [[1]] }]);
+
+            expect(rateLimits.write.acquire).toHaveBeenCalledTimes(3);
+            expect(rateLimits.read.acquire).not.toHaveBeenCalled();
+        });
+
+        it('should pass the queue listener to the limiter', async () => {
+            const onQueue = jest.fn();
+            await service.withListeners({ onQueue }).getValues(mockAuth, 'ABC123', 'Sheet1');
+
+            expect(rateLimits.read.acquire).toHaveBeenCalledWith(onQueue);
+        });
+
+        it('should wait for a token on every retry', async () => {
+            const retryPolicy = new RetryPolicy({ maxRetries: 1, baseDelay: 0 });
+            jest.spyOn(retryPolicy, 'sleep').mockResolvedValue();
+            service = new GoogleSheetsService({ retryPolicy, rateLimits });
+            service._getSheetsClient = jest.fn().mockReturnValue(sheetsClient);
+            const err = new Error('Backend error');
+            err.response = { status: 503 };
+            sheetsClient.spreadsheets.values.get.mockRejectedValueOnce(err);
+
+            await service.getValues(mockAuth, 'ABC123', 'Sheet1');
+
+            expect(rateLimits.read.acquire).toHaveBeenCalledTimes(2);
+        });
+
+        it('should skip a missing budget', async () => {
+            service = new GoogleSheetsService({ rateLimits: { read: rateLimits.read } });
+            service._getSheetsClient = jest.fn().mockReturnValue(sheetsClient);
+
+            await expect(service.clearValues(mockAuth, 'ABC123', 'Sheet1')).resolves.toEqual({});
+        });
+    });
 });
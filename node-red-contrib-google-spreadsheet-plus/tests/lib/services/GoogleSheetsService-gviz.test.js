@@ -0,0 +1,117 @@
+/**
+ * Tests for gviz queries in GoogleSheetsService, run against a local stub server
+ */
+const http = require('http');
+const GoogleSheetsService = require('../../../lib/services/GoogleSheetsService');
+
+function setResponse(result) {
+    return `/*O_o*/\ngoogle.visualization.Query.setResponse(${JSON.stringify(result)});`;
+}
+
+describe('GoogleSheetsService - gviz queries', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let reply;
+    let service;
+
+    const auth = {
+        getRequestHeaders: jest.fn(async () => new Headers({ Authorization: 'Bearer test-token' }))
+    };
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req);
+            const { status = 200, headers = {}, body = '' } = reply;
+            res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+            res.end(body);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/spreadsheets/d`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        service = new GoogleSheetsService({ gvizBaseUrl: baseUrl });
+    });
+
+    test('Sends the query with the service account token and parses the table', async () => {
+        const table = {
+            cols: [{ id: 'A', label: 'name', type: 'string' }, { id: 'C', label: 'qty', type: 'number' }],
+            rows: [{ c: [{ v: 'Plum' }, { v: 140, f: '140' }] }]
+        };
+        reply = { body: setResponse({ version: '0.6', status: 'ok', table }) };
+
+        const result = await service.queryGviz(auth, 'sheet-id', 'select A, C where C > 100', { sheet: 'Stock', range: 'A1:C', headers: 1 });
+
+        expect(result).toEqual(table);
+        const url = new URL(requests[0].url, baseUrl);
+        expect(url.pathname).toBe('/spreadsheets/d/sheet-id/gviz/tq');
+        expect(url.searchParams.get('tq')).toBe('select A, C where C > 100');
+        expect(url.searchParams.get('tqx')).toBe('out:json');
+        expect(url.searchParams.get('sheet')).toBe('Stock');
+        expect(url.searchParams.get('range')).toBe('A1:C');
+        expect(url.searchParams.get('headers')).toBe('1');
+        expect(requests[0].headers.authorization).toBe('Bearer test-token');
+        expect(auth.getRequestHeaders).toHaveBeenCalledWith(expect.stringContaining('/gviz/tq?'));
+    });
+
+    test('Omits optional parameters and returns an empty table when none is sent', async () => {
+        reply = { body: setResponse({ status: 'ok' }) };
+
+        await expect(service.queryGviz(auth, 'sheet-id', 'select *')).resolves.toEqual({ cols: [], rows: [] });
+        const url = new URL(requests[0].url, baseUrl);
+        expect(url.searchParams.has('sheet')).toBe(false);
+        expect(url.searchParams.has('range')).toBe(false);
+        expect(url.searchParams.has('headers')).toBe(false);
+    });
+
+    test('Rejects query errors with the detailed message', async () => {
+        reply = {
+            body: setResponse({
+                status: 'error',
+                errors: [{ reason: 'invalid_query', message: 'INVALID_QUERY', detailed_message: 'Invalid query: NO_COLUMN: Z' }]
+            })
+        };
+
+        await expect(service.queryGviz(auth, 'sheet-id', 'select Z')).rejects.toThrow('gviz query error: Invalid query: NO_COLUMN: Z');
+    });
+
+    test('Rejects HTTP errors with status and Retry-After', async () => {
+        reply = { status: 429, headers: { 'Retry-After': '3' }, body: 'Too many requests' };
+
+        const err = await service.queryGviz(auth, 'sheet-id', 'select A').catch(e => e);
+        expect(err.message).toBe('gviz query failed with HTTP 429');
+        expect(err.statusCode).toBe(429);
+        expect(err.retryAfter).toBe(3000);
+        expect(err.operation).toBe('gviz');
+    });
+
+    test('Rejects pages that are not gviz responses', async () => {
+        reply = { body: '<html>Sign in</html>' };
+
+        await expect(service.queryGviz(auth, 'sheet-id', 'select A'))
+            .rejects.toThrow('Check the spreadsheet is shared with the service account');
+    });
+
+    test('Validates its arguments', async () => {
+        await expect(service.queryGviz(null, 'id', 'select A')).rejects.toThrow('Auth client is required');
+        await expect(service.queryGviz(auth, '', 'select A')).rejects.toThrow('Spreadsheet ID is required');
+        await expect(service.queryGviz(auth, 'id', '')).rejects.toThrow('Query is required');
+    });
+
+    describe('parseGvizResponse', () => {
+        test('Falls back to the error message or reason', () => {
+            expect(() => GoogleSheetsService.parseGvizResponse(setResponse({ status: 'error', errors: [{ message: 'ACCESS_DENIED' }] })))
+                .toThrow('gviz query error: ACCESS_DENIED');
+            expect(() => GoogleSheetsService.parseGvizResponse(setResponse({ status: 'error', errors: [{ reason: 'timeout' }] })))
+                .toThrow('gviz query error: timeout');
+            expect(() => GoogleSheetsService.parseGvizResponse(setResponse({ status: 'error' })))
+                .toThrow('gviz query error: unknown error');
+        });
+    });
+});
@@ -197,6 +197,11 @@ describe('DataTransformer', () => {
             ]);
         });
         
+        test('Leaves out cells beyond the last field', () => {
+            const result = transformer.transformToObjects([['John', 30, 'extra']], ['name', 'age']);
+            expect(result).toEqual([{ name: 'John', age: 30 }]);
+        });
+        
         test('Handles nested field names', () => {
             const values = [['John', 'NYC']];
             const fields = ['user.name', 'user.city'];
@@ -333,6 +338,138 @@ describe('DataTransformer', () => {
         });
     });
     
+    describe('insertRowsRequests', () => {
+        test('Inserts rows that take the formats of the row below', () => {
+            expect(transformer.insertRowsRequests(3, 2, 4)).toEqual([
+                { insertDimension: { range: { sheetId: 3, dimension: 'ROWS', startIndex: 1, endIndex: 5 }, inheritFromBefore: false } }
+            ]);
+        });
+        
+        test('Copies the formats of the row above or below into the new rows', () => {
+            expect(transformer.insertRowsRequests(3, 5, 2, 'above')).toEqual([
+                { insertDimension: { range: { sheetId: 3, dimension: 'ROWS', startIndex: 4, endIndex: 6 }, inheritFromBefore: true } },
+                { copyPaste: {
+                    source: { sheetId: 3, startRowIndex: 3, endRowIndex: 4 },
+                    destination: { sheetId: 3, startRowIndex: 4, endRowIndex: 6 },
+                    pasteType: 'PASTE_FORMAT'
+                } }
+            ]);
+            expect(transformer.insertRowsRequests(0, 2, 2, 'below')[1].copyPaste.source).toEqual({ sheetId: 0, startRowIndex: 3, endRowIndex: 4 });
+        });
+        
+        test('Pastes only the formula cells of the copied row, not its constants', () => {
+            // A partial-width write: A:B are written, C:D hold formulas, E a constant and F a formula
+            const requests = transformer.insertRowsRequests(3, 5, 1, 'above', ['Ann', 4, '=B4*2', '=C4+1', 'note', '=SUM(A4:D4)']);
+            
+            expect(requests.map(request => request.copyPaste && request.copyPaste.pasteType)).toEqual([undefined, 'PASTE_FORMAT', 'PASTE_FORMULA', 'PASTE_FORMULA']);
+            expect(requests[2].copyPaste).toEqual({
+                source: { sheetId: 3, startRowIndex: 3, endRowIndex: 4, startColumnIndex: 2, endColumnIndex: 4 },
+                destination: { sheetId: 3, startRowIndex: 4, endRowIndex: 5, startColumnIndex: 2, endColumnIndex: 4 },
+                pasteType: 'PASTE_FORMULA'
+            });
+            expect(requests[3].copyPaste.destination).toEqual({ sheetId: 3, startRowIndex: 4, endRowIndex: 5, startColumnIndex: 5, endColumnIndex: 6 });
+        });
+    });
+    
+    describe('formatRequests', () => {
+        const sheets = [{ properties: { title: 'Jobs' } }, { properties: { sheetId: 4, title: 'Summary' } }];
+        const written = { range: 'Jobs!A5:D6', sheet: 'Jobs', startRow: 5, endRow: 6, startCol: 1, endCol: 4 };
+        
+        test('Formats the written rows, columns of them and given cells', () => {
+            const requests = transformer.formatRequests({
+                all: { wrap: 'clip', verticalAlign: 'top' },
+                columns: { c: { numberFormat: 'CURRENCY', align: 'right' }, D: { numberFormat: '#,##0.00' } },
+                cells: { '1:1': { bold: true, background: '#eee' }, 'Summary!B2': { numberFormat: { type: 'DATE', pattern: 'yyyy-mm-dd' }, italic: false, color: '#cc0000', wrap: true } }
+            }, written, sheets);
+            
+            expect(requests).toEqual([
+                { repeatCell: { range: { sheetId: undefined, startRowIndex: 4, endRowIndex: 6, startColumnIndex: 0, endColumnIndex: 4 },
+                    cell: { userEnteredFormat: { verticalAlignment: 'TOP', wrapStrategy: 'CLIP' } },
+                    fields: 'userEnteredFormat.verticalAlignment,userEnteredFormat.wrapStrategy' } },
+                { repeatCell: { range: { sheetId: undefined, startRowIndex: 4, endRowIndex: 6, startColumnIndex: 2, endColumnIndex: 3 },
+                    cell: { userEnteredFormat: { numberFormat: { type: 'CURRENCY' }, horizontalAlignment: 'RIGHT' } },
+                    fields: 'userEnteredFormat.numberFormat,userEnteredFormat.horizontalAlignment' } },
+                { repeatCell: { range: { sheetId: undefined, startRowIndex: 4, endRowIndex: 6, startColumnIndex: 3, endColumnIndex: 4 },
+                    cell: { userEnteredFormat: { numberFormat: { type: 'NUMBER', pattern: '#,##0.00' } } },
+                    fields: 'userEnteredFormat.numberFormat' } },
+                { repeatCell: { range: { sheetId: undefined, startRowIndex: 0, endRowIndex: 1 },
+                    cell: { userEnteredFormat: { textFormat: { bold: true }, backgroundColor: { red: 0.933, green: 0.933, blue: 0.933 } } },
+                    fields: 'userEnteredFormat.textFormat.bold,userEnteredFormat.backgroundColor' } },
+                { repeatCell: { range: { sheetId: 4, startRowIndex: 1, endRowIndex: 2, startColumnIndex: 1, endColumnIndex: 2 },
+                    cell: { userEnteredFormat: { numberFormat: { type: 'DATE', pattern: 'yyyy-mm-dd' }, textFormat: { italic: false, foregroundColor: { red: 0.8, green: 0, blue: 0 } }, wrapStrategy: 'WRAP' } },
+                    fields: 'userEnteredFormat.numberFormat,userEnteredFormat.textFormat.italic,userEnteredFormat.textFormat.foregroundColor,userEnteredFormat.wrapStrategy' } }
+            ]);
+        });
+        
+        test('Adds conditional rules after existing ones and replaces rules with the same range and condition', () => {
+            const withRules = [{
+                properties: { title: 'Jobs' },
+                conditionalFormats: [
+                    { ranges: [{ startRowIndex: 1, startColumnIndex: 3, endColumnIndex: 4 }], booleanRule: { condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'failed' }] } } },
+                    { ranges: [{ sheetId: 0 }], gradientRule: {} }
+                ]
+            }];
+            const requests = transformer.formatRequests({
+                conditional: [
+                    { range: 'D2:D', when: 'TEXT_EQ', value: 'failed', format: { background: '#f4cccc', bold: true } },
+                    { range: 'A2:D', formula: '=$D2="running"', format: { color: '#999999' } },
+                    { range: 'C2:C', when: 'NUMBER_BETWEEN', values: [0, 10], format: { italic: true } },
+                    { range: 'E:E', when: 'BLANK', format: { background: '#ffffff' } }
+                ]
+            }, written, withRules);
+            
+            expect(requests[0]).toEqual({ updateConditionalFormatRule: { sheetId: undefined, index: 0, rule: {
+                ranges: [{ sheetId: undefined, startRowIndex: 1, startColumnIndex: 3, endColumnIndex: 4 }],
+                booleanRule: {
+                    condition: { type: 'TEXT_EQ', values: [{ userEnteredValue: 'failed' }] },
+                    format: { backgroundColor: { red: 0.957, green: 0.8, blue: 0.8 }, textFormat: { bold: true } }
+                }
+            } } });
+            expect(requests[1].addConditionalFormatRule.index).toBe(2);
+            expect(requests[1].addConditionalFormatRule.rule.booleanRule.condition).toEqual({ type: 'CUSTOM_FORMULA', values: [{ userEnteredValue: '=$D2="running"' }] });
+            expect(requests[2].addConditionalFormatRule.index).toBe(3);
+            expect(requests[2].addConditionalFormatRule.rule.booleanRule.condition.values).toEqual([{ userEnteredValue: '0' }, { userEnteredValue: '10' }]);
+            expect(requests[3].addConditionalFormatRule.rule.booleanRule.condition).toEqual({ type: 'BLANK' });
+        });
+        
+        test('Throws for ranges on a tab that does not exist', () => {
+            expect(() => transformer.formatRequests({ cells: { 'Nope!A1': { bold: true } } }, written, sheets)).toThrow('Sheet "Nope" not found');
+        });
+    });
+    
+    describe('transformWriteResponse', () => {
+        test('Parses the range of an append response', () => {
+            const response = {
+                tableRange: 'Log!A1:C4',
+                updates: { updatedRange: "'Order Log'!A5:C6", updatedRows: 2, updatedColumns: 3, updatedCells: 6 }
+            };
+            expect(transformer.transformWriteResponse(response, 'Log')).toEqual({
+                range: "'Order Log'!A5:C6",
+                sheet: 'Order Log',
+                startRow: 5,
+                endRow: 6,
+                startCol: 1,
+                endCol: 3,
+                updatedRows: 2,
+                updatedColumns: 3,
+                updatedCells: 6
+            });
+        });
+        
+        test('Includes values returned by the API', () => {
+            const response = { updatedRange: 'Sheet1!B2', updatedCells: 1, updatedData: { range: 'Sheet1!B2', values: [['4']] } };
+            const result = transformer.transformWriteResponse(response, 'Sheet1!B2');
+            expect(result).toMatchObject({ startRow: 2, endRow: 2, startCol: 2, endCol: 2, updatedRows: 0, values: [['4']] });
+            expect(transformer.transformWriteResponse({ updatedData: {} }, 'Sheet1!B2').values).toEqual([]);
+        });
+        
+        test('Falls back to the requested range', () => {
+            expect(transformer.transformWriteResponse(undefined, 'Sheet1!A:C')).toMatchObject({
+                range: 'Sheet1!A:C', sheet: 'Sheet1', startRow: null, startCol: 1, endCol: 3, updatedCells: 0
+            });
+        });
+    });
+    
     describe('transformCellResponse', () => {
         test('Returns cell value when found', () => {
             const values = [['', 'col1', 'col2'], ['row1', 'A', 'B'], ['row2', 'C', 'D']];
@@ -359,6 +496,663 @@ describe('DataTransformer', () => {
         });
     });
     
+    describe('locateCell', () => {
+        test('Returns row and column indexes when found', () => {
+            const values = [['', 'col1', 'col2'], ['row1', 'A', 'B'], ['row2', 'C', 'D']];
+            expect(transformer.locateCell(values, 'row2', 'col2')).toEqual({ rowIndex: 2, colIndex: 2 });
+        });
+        
+        test('Locates empty cells inside an existing row', () => {
+            const values = [['', 'col1'], ['row1']];
+            expect(transformer.locateCell(values, 'row1', 'col1')).toEqual({ rowIndex: 1, colIndex: 1 });
+        });
+        
+        test('Returns null for missing labels', () => {
+            const values = [['', 'col1'], ['row1', 'A']];
+            expect(transformer.locateCell(values, 'row9', 'col1')).toBeNull();
+            expect(transformer.locateCell(values, 'row1', 'col9')).toBeNull();
+        });
+        
+        test('Returns null for empty values', () => {
+            expect(transformer.locateCell([], 'row1', 'col1')).toBeNull();
+            expect(transformer.locateCell(undefined, 'row1', 'col1')).toBeNull();
+        });
+    });
+    
+    describe('planUpsert', () => {
+        const values = [
+            ['id', 'name', 'qty'],
+            ['1', 'Apple', '5'],
+            ['2', 'Pear', '7']
+        ];
+        
+        test('Splits rows into updates and inserts by key', () => {
+            const plan = transformer.planUpsert(values, [
+                { id: 2, qty: 9 },
+                { id: 3, name: 'Plum', qty: 1 }
+            ], ['id']);
+            
+            expect(plan.header).toEqual(['id', 'name', 'qty']);
+            expect(plan.updates).toEqual([{ rowIndex: 2, key: 2, row: [2, null, 9] }]);
+            expect(plan.inserts).toEqual([{ key: 3, row: [3, 'Plum', 1] }]);
+        });
+        
+        test('Matches on several key fields and reports them as objects', () => {
+            const sheet = [['region', 'sku', 'qty'], ['EU', 'A', '1'], ['US', 'A', '2']];
+            const plan = transformer.planUpsert(sheet, [{ region: 'US', sku: 'A', qty: 5 }], ['region', 'sku']);
+            
+            expect(plan.updates).toEqual([{ rowIndex: 2, key: { region: 'US', sku: 'A' }, row: ['US', 'A', 5] }]);
+            expect(plan.inserts).toEqual([]);
+        });
+        
+        test('Merges repeated keys and ignores fields missing from the header', () => {
+            const plan = transformer.planUpsert(values, [
+                { id: 4, name: 'Fig', extra: true },
+                { id: 4, qty: 2 },
+                { id: 1, name: 'Green apple' },
+                { id: 1, qty: 0 }
+            ], ['id']);
+            
+            expect(plan.inserts).toEqual([{ key: 4, row: [4, 'Fig', 2] }]);
+            expect(plan.updates).toEqual([{ rowIndex: 1, key: 1, row: [1, 'Green apple', 0] }]);
+        });
+        
+        test('Flattens nested objects and honours selected fields', () => {
+            const sheet = [['id', 'info.name', 'qty'], ['1', 'Apple', '5']];
+            const plan = transformer.planUpsert(sheet, [{ id: 1, info: { name: 'Crab' }, qty: 8 }], ['id'], ['info.name']);
+            
+            expect(plan.updates[0].row).toEqual([1, 'Crab', null]);
+        });
+        
+        test('Matches short existing rows', () => {
+            const plan = transformer.planUpsert([['id', 'name', 'qty'], ['1']], [{ id: '1', qty: 3 }], ['id']);
+            expect(plan.updates[0].row).toEqual(['1', null, 3]);
+        });
+        
+        test('Leaves cells of fields the object does not set unwritten', () => {
+            // Read as formatted values: a formula total and a currency cell
+            const sheet = [['id', 'name', 'price', 'total'], ['1', 'z', '$10.00', '$20.00']];
+            const plan = transformer.planUpsert(sheet, [{ id: '1', name: 'y' }], ['id']);
+            
+            expect(plan.updates[0].row).toEqual(['1', 'y', null, null]);
+        });
+        
+        test('Throws for missing header, key column or key value', () => {
+            expect(() => transformer.planUpsert([], [{ id: 1 }], ['id'])).toThrow('header row');
+            expect(() => transformer.planUpsert(values, [{ id: 1 }], ['sku'])).toThrow('Key column "sku" not found in header');
+            expect(() => transformer.planUpsert(values, [{ name: 'x' }], ['id'])).toThrow('Upsert row 0 is missing key field "id"');
+            expect(() => transformer.planUpsert(values, [['1']], ['id'])).toThrow('Upsert row 0 must be an object');
+        });
+    });
+    
+    describe('findRows', () => {
+        const values = [
+            ['id', 'status', 'qty'],
+            ['1', 'done', '5'],
+            ['2', 'open'],
+            ['3', 'done', '0']
+        ];
+        
+        test('Matches a single key value on the key column', () => {
+            expect(transformer.findRows(values, 2, ['id'])).toEqual([2]);
+        });
+        
+        test('Matches a list of keys', () => {
+            expect(transformer.findRows(values, ['3', 1, 9], ['id'])).toEqual([1, 3]);
+        });
+        
+        test('Matches filter objects on every column', () => {
+            expect(transformer.findRows(values, { status: 'done' })).toEqual([1, 3]);
+            expect(transformer.findRows(values, { status: 'done', qty: 0 })).toEqual([3]);
+            expect(transformer.findRows(values, { qty: '' })).toEqual([2]);
+        });
+        
+        test('Throws for missing header, unknown columns and ambiguous keys', () => {
+            expect(() => transformer.findRows([], 1, ['id'])).toThrow('A header row is required');
+            expect(() => transformer.findRows(values, { state: 'x' })).toThrow('Column "state" not found in header');
+            expect(() => transformer.findRows(values, 1, [])).toThrow('Exactly one key column');
+            expect(() => transformer.findRows(values, 1, ['id', 'status'])).toThrow('Exactly one key column');
+            expect(() => transformer.findRows(values, {})).toThrow('Empty filter');
+        });
+    });
+    
+    describe('planDelete', () => {
+        test('Returns the matching rows as objects, without cells beyond the header', () => {
+            const values = [['id', 'status'], ['1', 'done', 'note'], ['2', 'open']];
+            expect(transformer.planDelete(values, 1, ['id'])).toEqual({ matches: [1], records: [{ id: '1', status: 'done' }] });
+        });
+        
+        test('Deletes nothing from an empty range', () => {
+            expect(transformer.planDelete([], 1, ['id'])).toEqual({ matches: [], records: [] });
+        });
+    });
+    
+    describe('alignToHeader', () => {
+        test('Places values under matching columns whatever the key order', () => {
+            const result = transformer.alignToHeader(
+                [{ qty: 5, id: 1 }, { name: 'Plum', id: 2, extra: 'x' }, { addr: { city: 'Oslo' }, id: 3 }],
+                ['id', ' name ', 'qty', 'addr.city']
+            );
+            expect(result.values).toEqual([
+                [1, '', 5, ''],
+                [2, 'Plum', '', ''],
+                [3, '', '', 'Oslo']
+            ]);
+            expect(result.header).toEqual(['id', 'name', 'qty', 'addr.city']);
+            expect(result.added).toEqual([]);
+        });
+        
+        test('Adds columns for unseen fields when asked', () => {
+            const result = transformer.alignToHeader([{ id: 1, b: 2 }, { a: 3, b: 4 }], ['id'], true);
+            expect(result.added).toEqual(['b', 'a']);
+            expect(result.header).toEqual(['id', 'b', 'a']);
+            expect(result.values).toEqual([[1, 2, ''], ['', 4, 3]]);
+            
+            expect(transformer.alignToHeader([{ a: 1 }], [], true).values).toEqual([[1]]);
+        });
+        
+        test('Throws for non-objects and when nothing matches', () => {
+            expect(() => transformer.alignToHeader([{ id: 1 }, [1]], ['id'])).toThrow('Row 1 must be an object to match headers');
+            expect(() => transformer.alignToHeader([null], ['id'])).toThrow('Row 0 must be an object');
+            expect(() => transformer.alignToHeader([{ a: 1 }], ['id'])).toThrow('No fields match the header row');
+        });
+    });
+    
+    describe('queryValues', () => {
+        const values = [
+            ['name', 'status', 'qty'],
+            ['Apple', 'open', '5'],
+            ['Pear', 'done', '12'],
+            ['Plum', 'open', '40'],
+            ['Fig', 'open']
+        ];
+        
+        test('Returns every row as objects without conditions', () => {
+            const result = transformer.queryValues(values, {});
+            expect(result.total).toBe(4);
+            expect(result.rows[0]).toEqual({ name: 'Apple', status: 'open', qty: '5' });
+        });
+        
+        test('Does not modify the values', () => {
+            const copy = JSON.parse(JSON.stringify(values));
+            transformer.queryValues(values, { sort: 'name' });
+            expect(values).toEqual(copy);
+        });
+        
+        test('Filters with equality and operators combined with AND', () => {
+            const result = transformer.queryValues(values, { where: { status: 'open', qty: { gt: 9 } } });
+            expect(result.rows.map(r => r.name)).toEqual(['Plum']);
+        });
+        
+        test('Compares numbers numerically and text as text', () => {
+            expect(transformer.queryValues(values, { where: { qty: { gte: 12 } } }).rows.map(r => r.name)).toEqual(['Pear', 'Plum']);
+            expect(transformer.queryValues(values, { where: { qty: { lt: 12 } } }).rows.map(r => r.name)).toEqual(['Apple']);
+            expect(transformer.queryValues(values, { where: { qty: { lte: 5 } } }).rows.map(r => r.name)).toEqual(['Apple']);
+            expect(transformer.queryValues(values, { where: { name: { gt: 'Pe' } } }).rows.map(r => r.name)).toEqual(['Pear', 'Plum']);
+            expect(transformer.queryValues(values, { where: { qty: 5 } }).rows.map(r => r.name)).toEqual(['Apple']);
+        });
+        
+        test('Supports contains, ne and empty cells', () => {
+            expect(transformer.queryValues(values, { where: { name: { contains: 'PL' } } }).rows.map(r => r.name)).toEqual(['Apple', 'Plum']);
+            expect(transformer.queryValues(values, { where: { status: { ne: 'open' } } }).rows.map(r => r.name)).toEqual(['Pear']);
+            expect(transformer.queryValues(values, { where: { qty: '' } }).rows.map(r => r.name)).toEqual(['Fig']);
+        });
+        
+        test('Supports OR and nested AND', () => {
+            const result = transformer.queryValues(values, {
+                where: { or: [{ name: 'Fig' }, { and: [{ status: 'done' }, { qty: { gt: 10 } }] }] }
+            });
+            expect(result.rows.map(r => r.name)).toEqual(['Pear', 'Fig']);
+        });
+        
+        test('Sorts by several columns with empty cells last', () => {
+            expect(transformer.queryValues(values, { sort: '-qty' }).rows.map(r => r.name)).toEqual(['Plum', 'Pear', 'Apple', 'Fig']);
+            expect(transformer.queryValues(values, { sort: 'qty' }).rows.map(r => r.name)).toEqual(['Apple', 'Pear', 'Plum', 'Fig']);
+            expect(transformer.queryValues(values, { sort: ['status', '-name'] }).rows.map(r => r.name)).toEqual(['Pear', 'Plum', 'Fig', 'Apple']);
+        });
+        
+        test('Pages with offset and limit and reports the total', () => {
+            const result = transformer.queryValues(values, { where: { status: 'open' }, sort: 'name', offset: 1, limit: 1 });
+            expect(result).toEqual({ rows: [{ name: 'Fig', status: 'open' }], total: 3 });
+        });
+        
+        test('Handles empty values and unknown operators', () => {
+            expect(transformer.queryValues([], { limit: 5 })).toEqual({ rows: [], total: 0 });
+            expect(() => transformer.queryValues(values, { where: { qty: { near: 1 } } })).toThrow('Unknown query operator "near"');
+        });
+    });
+    
+    describe('sanitizeInput', () => {
+        test('Escapes strings starting with formula characters', () => {
+            expect(transformer.sanitizeInput('=HYPERLINK("http://x")')).toBe('\'=HYPERLINK("http://x")');
+            expect(transformer.sanitizeInput(['+1', '-2', '@SUM(A1)', 'a=b', ''])).toEqual(["'+1", "'-2", "'@SUM(A1)", 'a=b', '']);
+        });
+        
+        test('Escapes nested arrays and objects without modifying the input', () => {
+            const input = [{ name: '=cmd', meta: { note: '-x', count: -3 } }, [['@a', 5]]];
+            const result = transformer.sanitizeInput(input);
+            expect(result).toEqual([{ name: "'=cmd", meta: { note: "'-x", count: -3 } }, [["'@a", 5]]]);
+            expect(input[0].name).toBe('=cmd');
+        });
+        
+        test('Leaves numbers, booleans, null and dates unchanged', () => {
+            const date = new Date(0);
+            expect(transformer.sanitizeInput(-5)).toBe(-5);
+            expect(transformer.sanitizeInput(true)).toBe(true);
+            expect(transformer.sanitizeInput(null)).toBeNull();
+            expect(transformer.sanitizeInput(date)).toBe(date);
+        });
+        
+        test('Leaves raw input unchanged, since it is never run as a formula', () => {
+            const input = [['=HYPERLINK("http://x")', '-5']];
+            expect(transformer.sanitizeInput(input, 'RAW')).toBe(input);
+            expect(transformer.sanitizeInput(input, 'USER_ENTERED')).toEqual([['\'=HYPERLINK("http://x")', "'-5"]]);
+        });
+    });
+    
+    describe('resolveColumns', () => {
+        const values = [['name', 'due', 'paid'], ['Apple', 45658, 45659.5]];
+        
+        test('Resolves header names and column letters', () => {
+            expect(transformer.resolveColumns(values, ['due', 'C'], 1)).toEqual([1, 2]);
+            expect(transformer.resolveColumns(values, ['D'], 2)).toEqual([2]);
+        });
+        
+        test('Reads header names from the first column for column-major values', () => {
+            const columns = [['name', 'Apple'], ['due', 45658]];
+            expect(transformer.resolveColumns(columns, ['due'], 1, 'COLUMNS')).toEqual([1]);
+        });
+        
+        test('Throws for unknown columns and letters left of the range', () => {
+            expect(() => transformer.resolveColumns(values, ['created'], 1)).toThrow('Column "created" not found in header or range');
+            expect(() => transformer.resolveColumns(values, ['A'], 2)).toThrow('Column "A" not found in header or range');
+            expect(() => transformer.resolveColumns([], ['Due'], 1)).toThrow('not found');
+        });
+    });
+    
+    describe('convertSerialDates', () => {
+        const values = [['name', 'due'], ['Apple', 45658], ['Pear', 45659.75], ['Fig', '']];
+        
+        test('Converts serial numbers to Date objects', () => {
+            const result = transformer.convertSerialDates(values, [1], 'date');
+            expect(result[0]).toEqual(['name', 'due']);
+            expect(result[1][1]).toEqual(new Date('2025-01-01T00:00:00.000Z'));
+            expect(result[3]).toEqual(['Fig', '']);
+            expect(values[1][1]).toBe(45658);
+        });
+        
+        test('Converts serial numbers to ISO strings with the time of day', () => {
+            const result = transformer.convertSerialDates(values, [1], 'iso');
+            expect(result[2][1]).toBe('2025-01-02T18:00:00.000Z');
+        });
+        
+        test('Converts column-major values', () => {
+            const columns = [['name', 'Apple'], ['due', 45658]];
+            const result = transformer.convertSerialDates(columns, [1], 'iso', 'COLUMNS');
+            expect(result).toEqual([['name', 'Apple'], ['due', '2025-01-01T00:00:00.000Z']]);
+            expect(result[0]).not.toBe(columns[0]);
+        });
+    });
+    
+    describe('dateToSerial', () => {
+        test('Is the inverse of serialToDate', () => {
+            expect(transformer.dateToSerial(new Date('1899-12-30T00:00:00.000Z'))).toBe(0);
+            expect(transformer.dateToSerial(transformer.serialToDate(45658.25))).toBe(45658.25);
+        });
+    });
+    
+    describe('serialToDate', () => {
+        test('Counts days from 1899-12-30', () => {
+            expect(transformer.serialToDate(0).toISOString()).toBe('1899-12-30T00:00:00.000Z');
+            expect(transformer.serialToDate(25569).getTime()).toBe(0);
+            expect(transformer.serialToDate(45658.5).toISOString()).toBe('2025-01-01T12:00:00.000Z');
+        });
+    });
+    
+    describe('applySchema', () => {
+        const values = [
+            ['name', 'qty', 'active', 'due', 'meta'],
+            ['Apple', '12', 'TRUE', 45658, '{"shelf":2}'],
+            ['Pear', 3, 'no', '2025-01-02T00:00:00Z'],
+            ['Fig', '1.5', 'maybe', 'soon', '{']
+        ];
+        const schema = {
+            name: { type: 'string', required: true },
+            qty: 'integer',
+            active: { type: 'boolean', default: false },
+            due: 'date',
+            meta: 'json'
+        };
+        
+        test('Coerces cells and fills empty cells with defaults or null', () => {
+            const result = transformer.applySchema(values, schema);
+            expect(result.values).toEqual([
+                ['name', 'qty', 'active', 'due', 'meta'],
+                ['Apple', 12, true, new Date('2025-01-01T00:00:00.000Z'), { shelf: 2 }],
+                ['Pear', 3, false, new Date('2025-01-02T00:00:00.000Z'), null]
+            ]);
+            expect(values[1][1]).toBe('12');
+        });
+        
+        test('Reports failing rows with their sheet row number', () => {
+            const { rejected } = transformer.applySchema(values, schema, 5);
+            expect(rejected).toEqual([{
+                row: 8,
+                values: ['Fig', '1.5', 'maybe', 'soon', '{'],
+                errors: [
+                    'qty: "1.5" is not an integer',
+                    'active: "maybe" is not a boolean',
+                    'due: "soon" is not a date',
+                    'meta: "{" is not valid JSON'
+                ]
+            }]);
+        });
+        
+        test('Rejects rows missing required cells', () => {
+            const { values: valid, rejected } = transformer.applySchema([['name', 'qty'], ['', '1'], ['Kiwi']], { name: { type: 'string', required: true }, qty: 'number' });
+            expect(valid).toEqual([['name', 'qty'], ['Kiwi', null]]);
+            expect(rejected).toEqual([{ row: 2, values: ['', '1'], errors: ['name: required'] }]);
+        });
+        
+        test('Adds schema columns missing from the header', () => {
+            const result = transformer.applySchema([['name'], ['Apple']], { name: 'string', stock: { type: 'number', default: 0 } });
+            expect(result.values).toEqual([['name', 'stock'], ['Apple', 0]]);
+        });
+        
+        test('Converts numbers, strings and existing dates', () => {
+            const date = new Date('2025-03-01T00:00:00.000Z');
+            const result = transformer.applySchema(
+                [['a', 'b', 'c', 'd', 'e'], [7, ' 2.5 ', date, true, 'x']],
+                { a: 'string', b: 'number', c: 'date', d: 'boolean', e: 'number' }
+            );
+            expect(result.rejected[0].errors).toEqual(['e: "x" is not a number']);
+            expect(transformer.applySchema([['a', 'b', 'c', 'd'], [7, ' 2.5 ', date, true]], { a: 'string', b: 'number', c: 'date', d: 'boolean' }).values[1])
+                .toEqual(['7', 2.5, date, true]);
+            expect(transformer.applySchema([['b'], [' ']], { b: 'number' }).rejected).toHaveLength(1);
+            expect(transformer.applySchema([['j'], [5]], { j: 'json' }).values[1]).toEqual([5]);
+        });
+        
+        test('Returns nothing for empty values', () => {
+            expect(transformer.applySchema([], schema)).toEqual({ values: [], rejected: [] });
+        });
+        
+        test('Checks constraints and accepts ordered column arrays', () => {
+            const result = transformer.applySchema(
+                [['code', 'status'], ['AB', 'open'], ['ABCD', 'lost'], [7, 'done']],
+                [{ name: 'code', maxLength: 3, pattern: '^[A-Z]+$' }, { name: 'status', enum: ['open', 'done'] }]
+            );
+            expect(result.values).toEqual([['code', 'status'], ['AB', 'open']]);
+            expect(result.rejected.map(row => row.errors)).toEqual([
+                ['code: longer than 3 characters', 'status: "lost" is not one of "open", "done"'],
+                ['code: 7 does not match ^[A-Z]+$']
+            ]);
+        });
+    });
+    
+    describe('applyWriteSchema', () => {
+        const schema = {
+            name: { type: 'string', required: true, maxLength: 5 },
+            qty: 'integer',
+            due: 'date',
+            meta: 'json',
+            'addr.city': { enum: ['Oslo', 'Bergen'] },
+            status: { enum: ['open', 'done'], default: 'open' }
+        };
+        
+        test('Builds rows in schema order and converts values for the sheet', () => {
+            const result = transformer.applyWriteSchema([
+                { qty: '3', name: 'Apple', due: new Date('2025-01-01T12:00:00Z'), meta: { shelf: 2 }, addr: { city: 'Oslo' }, extra: true },
+                ['Pear', 2]
+            ], schema);
+            expect(result.header).toEqual(['name', 'qty', 'due', 'meta', 'addr.city', 'status']);
+            expect(result.values).toEqual([
+                ['Apple', 3, 45658.5, '{"shelf":2}', 'Oslo', 'open'],
+                ['Pear', 2, '', '', '', 'open']
+            ]);
+            expect(result.rejected).toEqual([]);
+        });
+        
+        test('Rejects records with their index and reasons', () => {
+            const result = transformer.applyWriteSchema([{ name: 'Banana', qty: 'x', status: 'lost' }, 'text'], schema);
+            expect(result.values).toEqual([]);
+            expect(result.rejected).toEqual([
+                {
+                    index: 0,
+                    record: { name: 'Banana', qty: 'x', status: 'lost' },
+                    errors: ['name: longer than 5 characters', 'qty: "x" is not an integer', 'status: "lost" is not one of "open", "done"']
+                },
+                { index: 1, record: 'text', errors: ['record must be an object or an array'] }
+            ]);
+        });
+        
+        test('Accepts a single record and bare column names', () => {
+            const result = transformer.applyWriteSchema({ b: 2, a: { deep: true } }, ['a', 'b', 'c']);
+            expect(result.values).toEqual([['{"deep":true}', 2, '']]);
+        });
+        
+        test('Rejects invalid dates', () => {
+            expect(transformer.applyWriteSchema([{ due: new Date('nope') }], { due: 'date' }).rejected[0].errors)
+                .toEqual(['due: null is not a date']);
+        });
+    });
+    
+    
+    describe('sheetProperties', () => {
+        test('Flattens tab properties with defaults', () => {
+            const spreadsheet = {
+                sheets: [
+                    { properties: { sheetId: 0, title: 'Main', index: 0, sheetType: 'GRID', gridProperties: { rowCount: 1000, columnCount: 26, frozenRowCount: 1 } } },
+                    { properties: { sheetId: 7, title: 'Raw', index: 1, hidden: true, tabColor: { red: 1 }, gridProperties: { rowCount: 10, columnCount: 3 } } }
+                ]
+            };
+            expect(transformer.sheetProperties(spreadsheet)).toEqual([
+                { sheetId: 0, title: 'Main', index: 0, sheetType: 'GRID', hidden: false, rowCount: 1000, columnCount: 26, frozenRowCount: 1, frozenColumnCount: 0 },
+                { sheetId: 7, title: 'Raw', index: 1, sheetType: 'GRID', hidden: true, rowCount: 10, columnCount: 3, frozenRowCount: 0, frozenColumnCount: 0, tabColor: { red: 1 } }
+            ]);
+            expect(transformer.sheetProperties({})).toEqual([]);
+            expect(transformer.sheetProperties({ sheets: [{}] })[0]).toMatchObject({ index: 0, sheetType: 'GRID', hidden: false });
+        });
+    });
+    
+    describe('spreadsheetMetadata', () => {
+        test('Summarizes properties, tabs, named and protected ranges and developer metadata', () => {
+            const spreadsheet = {
+                spreadsheetId: 'ABC123',
+                spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/ABC123/edit',
+                properties: { title: 'Budget', locale: 'en_GB', timeZone: 'Europe/London' },
+                namedRanges: [
+                    { namedRangeId: 'n1', name: 'Totals', range: { endRowIndex: 10, startColumnIndex: 3, endColumnIndex: 4 } },
+                    { namedRangeId: 'n2', name: 'Rates', range: { sheetId: 9, startRowIndex: 1, endColumnIndex: 2 } }
+                ],
+                developerMetadata: [{ metadataId: 1, metadataKey: 'owner', metadataValue: 'finance', visibility: 'DOCUMENT', location: { locationType: 'SPREADSHEET', spreadsheet: true } }],
+                sheets: [
+                    {
+                        properties: { sheetId: 0, title: 'Main', gridProperties: { rowCount: 100, columnCount: 10 } },
+                        protectedRanges: [
+                            { protectedRangeId: 5, range: { startRowIndex: 0, endRowIndex: 1 }, description: 'Header', warningOnly: true },
+                            { protectedRangeId: 6, namedRangeId: 'n1', editors: { users: ['a@x.com'], groups: ['team@x.com'] }, unprotectedRanges: [{ startRowIndex: 2, endRowIndex: 3, endColumnIndex: 1 }] }
+                        ]
+                    },
+                    {
+                        properties: { sheetId: 9, title: 'Lookup Data', index: 1 },
+                        developerMetadata: [
+                            { metadataId: 2, metadataKey: 'source', metadataValue: 'erp', visibility: 'PROJECT', location: { locationType: 'SHEET', sheetId: 9 } },
+                            { metadataId: 3, metadataKey: 'col', location: { locationType: 'COLUMN', dimensionRange: { sheetId: 9, dimension: 'COLUMNS', startIndex: 1, endIndex: 2 } } },
+                            { metadataId: 4, metadataKey: 'row', location: { locationType: 'ROW', dimensionRange: { dimension: 'ROWS', startIndex: 0, endIndex: 1 } } }
+                        ]
+                    }
+                ]
+            };
+            
+            const metadata = transformer.spreadsheetMetadata(spreadsheet);
+            expect(metadata).toMatchObject({ spreadsheetId: 'ABC123', title: 'Budget', locale: 'en_GB', timeZone: 'Europe/London' });
+            expect(metadata.sheets.map(sheet => sheet.title)).toEqual(['Main', 'Lookup Data']);
+            expect(metadata.namedRanges).toEqual([
+                { name: 'Totals', namedRangeId: 'n1', range: 'Main!D1:D10' },
+                { name: 'Rates', namedRangeId: 'n2', range: "'Lookup Data'!A2:B" }
+            ]);
+            expect(metadata.protectedRanges).toEqual([
+                { protectedRangeId: 5, range: 'Main!1:1', namedRange: undefined, description: 'Header', warningOnly: true, editors: [], unprotectedRanges: [] },
+                { protectedRangeId: 6, range: 'Main!D1:D10', namedRange: 'Totals', description: '', warningOnly: false, editors: ['a@x.com', 'team@x.com'], unprotectedRanges: ['Main!A3'] }
+            ]);
+            expect(metadata.developerMetadata).toEqual([
+                { metadataId: 1, key: 'owner', value: 'finance', visibility: 'DOCUMENT', location: { type: 'SPREADSHEET' } },
+                { metadataId: 2, key: 'source', value: 'erp', visibility: 'PROJECT', location: { type: 'SHEET', sheet: 'Lookup Data' } },
+                { metadataId: 3, key: 'col', value: undefined, visibility: undefined, location: { type: 'COLUMN', sheet: 'Lookup Data', range: "'Lookup Data'!B:B" } },
+                { metadataId: 4, key: 'row', value: undefined, visibility: undefined, location: { type: 'ROW', sheet: 'Main', range: 'Main!1:1' } }
+            ]);
+        });
+        
+        test('Returns empty lists for a bare resource', () => {
+            expect(transformer.spreadsheetMetadata({})).toMatchObject({ sheets: [], namedRanges: [], protectedRanges: [], developerMetadata: [] });
+            expect(transformer.spreadsheetMetadata({ sheets: [{ properties: { sheetId: 0, title: 'S' }, developerMetadata: [{ metadataId: 7 }] }] }).developerMetadata[0].location)
+                .toEqual({ type: undefined });
+        });
+    });
+    
+    describe('planSheetRequests', () => {
+        const sheets = [{ sheetId: 0, title: 'Main' }, { sheetId: 7, title: 'Template' }];
+        
+        test('Builds one request per operation', () => {
+            const plan = transformer.planSheetRequests([
+                { op: 'add', title: '2026-11', index: 0, frozenRowCount: 1 },
+                { op: 'add', title: 'Plain' },
+                { op: 'duplicate', sheet: 'Template', title: 'Copy', index: 1 },
+                { op: 'duplicate', sheet: 7, title: 'Copy 2' },
+                { op: 'hide', sheet: 7 },
+                { op: 'show', sheet: 'Main' },
+                { op: 'move', sheet: 'Main', index: 3 },
+                { op: 'freeze', sheet: 'Main', frozenRowCount: 2 }
+            ], sheets);
+            
+            expect(plan.requests).toEqual([
+                { addSheet: { properties: { title: '2026-11', index: 0, gridProperties: { frozenRowCount: 1 } } } },
+                { addSheet: { properties: { title: 'Plain' } } },
+                { duplicateSheet: { sourceSheetId: 7, newSheetName: 'Copy', insertSheetIndex: 1 } },
+                { duplicateSheet: { sourceSheetId: 7, newSheetName: 'Copy 2' } },
+                { updateSheetProperties: { properties: { sheetId: 7, hidden: true }, fields: 'hidden' } },
+                { updateSheetProperties: { properties: { sheetId: 0, hidden: false }, fields: 'hidden' } },
+                { updateSheetProperties: { properties: { sheetId: 0, index: 3 }, fields: 'index' } },
+                { updateSheetProperties: { properties: { sheetId: 0, gridProperties: { frozenRowCount: 2 } }, fields: 'gridProperties.frozenRowCount' } }
+            ]);
+            expect(plan.targets[0]).toBeNull();
+            expect(plan.targets[2]).toEqual({ sheetId: 7, title: 'Template' });
+        });
+        
+        test('Follows renames and deletes earlier in the list', () => {
+            const plan = transformer.planSheetRequests([
+                { op: 'rename', sheet: 'Main', title: 'Archive' },
+                { op: 'freeze', sheet: 'Archive', frozenRowCount: 1, frozenColumnCount: 1 },
+                { op: 'delete', sheet: 'Template' }
+            ], sheets);
+            
+            expect(plan.requests).toEqual([
+                { updateSheetProperties: { properties: { sheetId: 0, title: 'Archive' }, fields: 'title' } },
+                { updateSheetProperties: { properties: { sheetId: 0, gridProperties: { frozenRowCount: 1, frozenColumnCount: 1 } }, fields: 'gridProperties.frozenRowCount,gridProperties.frozenColumnCount' } },
+                { deleteSheet: { sheetId: 7 } }
+            ]);
+            expect(plan.targets[0]).toEqual({ sheetId: 0, title: 'Main' });
+            expect(() => transformer.planSheetRequests([{ op: 'delete', sheet: 'Main' }, { op: 'hide', sheet: 0 }], sheets)).toThrow('Sheet 0 not found');
+            expect(() => transformer.planSheetRequests([{ op: 'hide', sheet: 'Nope' }], sheets)).toThrow('Sheet "Nope" not found');
+        });
+        
+        test('Names and places tabs copied from a template', () => {
+            const plan = transformer.planSheetRequests([
+                { op: 'copy', from: 'TEMPLATE', sheet: 'Report', title: 'ACME', index: 0 },
+                { op: 'copy', from: 'TEMPLATE', sheet: 3 },
+                { op: 'freeze', sheet: 'ACME', frozenRowCount: 1 }
+            ], sheets, { 0: { sheetId: 40, title: 'Copy of Report' }, 1: { sheetId: 41, title: 'Copy of Notes' } });
+            
+            expect(plan.requests).toEqual([
+                { updateSheetProperties: { properties: { sheetId: 40, title: 'ACME', index: 0 }, fields: 'title,index' } },
+                { updateSheetProperties: { properties: { sheetId: 41, title: 'Copy of Notes' }, fields: 'title' } },
+                { updateSheetProperties: { properties: { sheetId: 40, gridProperties: { frozenRowCount: 1 } }, fields: 'gridProperties.frozenRowCount' } }
+            ]);
+            expect(plan.targets[0]).toEqual({ sheetId: 40, title: 'Copy of Report' });
+        });
+    });
+    
+    describe('sheetResults', () => {
+        test('Reports new tabs from the replies and changed tabs from the targets', () => {
+            const operations = [{ op: 'add', title: 'New' }, { op: 'rename', sheet: 'Main', title: 'Archive' }, { op: 'delete', sheet: 7 }];
+            const targets = [null, { sheetId: 0, title: 'Main' }, { sheetId: 7, title: 'Old' }];
+            const responseData = { replies: [{ addSheet: { properties: { sheetId: 42, title: 'New' } } }, {}, {}] };
+            
+            expect(transformer.sheetResults(operations, targets, responseData)).toEqual([
+                { op: 'add', sheetId: 42, title: 'New' },
+                { op: 'rename', sheetId: 0, title: 'Archive' },
+                { op: 'delete', sheetId: 7, title: 'Old' }
+            ]);
+            expect(transformer.sheetResults([{ op: 'hide', sheet: 1 }], [null], {})).toEqual([{ op: 'hide', sheetId: undefined, title: undefined }]);
+            expect(transformer.sheetResults([{ op: 'copy', sheet: 'Report' }], [{ sheetId: 40, title: 'Copy of Report' }], {}))
+                .toEqual([{ op: 'copy', sheetId: 40, title: 'Copy of Report' }]);
+        });
+    });
+    
+    describe('buildSpreadsheet', () => {
+        test('Builds tabs with header rows', () => {
+            const resource = transformer.buildSpreadsheet({
+                title: 'ACME report',
+                locale: 'en_GB',
+                timeZone: 'Europe/London',
+                sheets: ['Summary', { title: 'Orders', headers: ['id', 2026, true, null], frozenRowCount: 1 }]
+            });
+            
+            expect(resource).toEqual({
+                properties: { title: 'ACME report', locale: 'en_GB', timeZone: 'Europe/London' },
+                sheets: [
+                    { properties: { title: 'Summary' } },
+                    {
+                        properties: { title: 'Orders', gridProperties: { frozenRowCount: 1 } },
+                        data: [{
+                            startRow: 0,
+                            startColumn: 0,
+                            rowData: [{ values: [
+                                { userEnteredValue: { stringValue: 'id' } },
+                                { userEnteredValue: { numberValue: 2026 } },
+                                { userEnteredValue: { boolValue: true } },
+                                { userEnteredValue: { stringValue: '' } }
+                            ] }]
+                        }]
+                    }
+                ]
+            });
+        });
+        
+        test('Leaves tabs to the API default when none are given', () => {
+            expect(transformer.buildSpreadsheet({ title: 'Empty', sheets: [] })).toEqual({ properties: { title: 'Empty' } });
+            expect(transformer.buildSpreadsheet({ title: 'Empty' })).toEqual({ properties: { title: 'Empty' } });
+        });
+    });
+    
+    describe('gvizTableToValues', () => {
+        const table = {
+            cols: [{ id: 'A', label: 'name' }, { id: 'C', label: '' }],
+            rows: [
+                { c: [{ v: 'Apple' }, { v: 1200, f: '1,200' }] },
+                { c: [{ v: 'Pear' }, null] },
+                { c: [{ v: null }] }
+            ]
+        };
+        
+        test('Uses formatted values and blanks empty cells', () => {
+            expect(transformer.gvizTableToValues(table, false)).toEqual([
+                ['Apple', '1,200'],
+                ['Pear', ''],
+                ['', '']
+            ]);
+        });
+        
+        test('Prepends labels, falling back to column IDs', () => {
+            expect(transformer.gvizTableToValues(table, true)[0]).toEqual(['name', 'C']);
+        });
+        
+        test('Handles an empty table', () => {
+            expect(transformer.gvizTableToValues({}, true)).toEqual([[]]);
+            expect(transformer.gvizTableToValues({ cols: [{ id: 'A' }], rows: [{}] }, false)).toEqual([['']]);
+        });
+    });
+    
     describe('Error handling', () => {
         test('Handles string primitives by wrapping in array', () => {
             const result = transformer.transform('test string', {});
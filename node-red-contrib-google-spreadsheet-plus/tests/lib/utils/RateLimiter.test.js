@@ -0,0 +1,103 @@
+/**
+ * Unit tests for RateLimiter utility
+ */
+
+const RateLimiter = require('../../../lib/utils/RateLimiter');
+
+describe('RateLimiter', () => {
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('constructor', () => {
+        test('Defaults to unlimited', async () => {
+            const limiter = new RateLimiter();
+            expect(limiter.perMinute).toBe(0);
+            await expect(limiter.acquire()).resolves.toBe(0);
+            expect(limiter.queueDepth).toBe(0);
+            expect(limiter.estimateWait()).toBe(0);
+        });
+
+        test('Burst defaults to the per minute budget', () => {
+            expect(new RateLimiter({ perMinute: 60 }).capacity).toBe(60);
+            expect(new RateLimiter({ perMinute: 60, burst: 5 }).capacity).toBe(5);
+        });
+    });
+
+    describe('acquire', () => {
+        test('Resolves immediately while tokens are available', async () => {
+            const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+            await expect(limiter.acquire()).resolves.toBe(0);
+            await expect(limiter.acquire()).resolves.toBe(0);
+            expect(limiter.queueDepth).toBe(0);
+        });
+
+        test('Queues requests beyond the budget and releases them in order', async () => {
+            const limiter = new RateLimiter({ perMinute: 60, burst: 1 });
+            const order = [];
+
+            await limiter.acquire();
+            const second = limiter.acquire().then(waited => order.push(['second', waited]));
+            const third = limiter.acquire().then(waited => order.push(['third', waited]));
+            expect(limiter.queueDepth).toBe(2);
+
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(order).toEqual([['second', 1000]]);
+            expect(limiter.queueDepth).toBe(1);
+
+            await jest.advanceTimersByTimeAsync(1000);
+            await Promise.all([second, third]);
+            expect(order).toEqual([['second', 1000], ['third', 2000]]);
+            expect(limiter.queueDepth).toBe(0);
+        });
+
+        test('Reports queue depth and estimated wait when queued', async () => {
+            const limiter = new RateLimiter({ perMinute: 30, burst: 1 });
+            const onQueue = jest.fn();
+
+            await limiter.acquire(onQueue);
+            expect(onQueue).not.toHaveBeenCalled();
+
+            limiter.acquire(onQueue);
+            limiter.acquire(onQueue);
+            expect(onQueue.mock.calls).toEqual([[1, 2000], [2, 4000]]);
+
+            await jest.advanceTimersByTimeAsync(4000);
+            expect(limiter.queueDepth).toBe(0);
+        });
+
+        test('Refills tokens over time up to the burst size', async () => {
+            const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+            await limiter.acquire();
+            await limiter.acquire();
+
+            jest.advanceTimersByTime(60000);
+            limiter._refill();
+            expect(limiter.tokens).toBe(2);
+        });
+    });
+
+    describe('close', () => {
+        test('Rejects queued requests and stops the timer', async () => {
+            const limiter = new RateLimiter({ perMinute: 60, burst: 1 });
+            await limiter.acquire();
+            const pending = limiter.acquire();
+
+            limiter.close();
+
+            await expect(pending).rejects.toThrow('Rate limiter closed');
+            expect(limiter.queueDepth).toBe(0);
+            expect(limiter.timer).toBeNull();
+        });
+
+        test('Does nothing when idle', () => {
+            const limiter = new RateLimiter({ perMinute: 60 });
+            expect(() => limiter.close()).not.toThrow();
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit tests for RetryPolicy utility
+ */
+
+const RetryPolicy = require('../../../lib/utils/RetryPolicy');
+
+function apiError(statusCode, retryAfter) {
+    const err = new Error('API Error ' + statusCode);
+    err.statusCode = statusCode;
+    if (retryAfter !== undefined) err.retryAfter = retryAfter;
+    return err;
+}
+
+describe('RetryPolicy', () => {
+    let policy;
+    
+    beforeEach(() => {
+        policy = new RetryPolicy({ maxRetries: 3, baseDelay: 100 });
+        jest.spyOn(policy, 'sleep').mockResolvedValue();
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    
+    describe('constructor', () => {
+        test('Defaults to no retries', () => {
+            const defaults = new RetryPolicy();
+            expect(defaults.maxRetries).toBe(0);
+            expect(defaults.baseDelay).toBe(1000);
+            expect(defaults.maxDelay).toBe(32000);
+            expect(defaults.deadline).toBe(0);
+        });
+    });
+    
+    describe('execute', () => {
+        test('Returns result without retrying on success', async () => {
+            const operation = jest.fn().mockResolvedValue('ok');
+            await expect(policy.execute(operation)).resolves.toBe('ok');
+            expect(operation).toHaveBeenCalledTimes(1);
+        });
+        
+        test('Retries 429 and 5xx errors until success', async () => {
+            const onRetry = jest.fn();
+            const operation = jest.fn()
+                .mockRejectedValueOnce(apiError(429))
+                .mockRejectedValueOnce(apiError(503))
+                .mockResolvedValue('ok');
+            
+            await expect(policy.execute(operation, onRetry)).resolves.toBe('ok');
+            expect(operation).toHaveBeenCalledTimes(3);
+            expect(onRetry).toHaveBeenCalledTimes(2);
+            expect(onRetry.mock.calls[1][0]).toBe(2);
+        });
+        
+        test('Does not retry server errors of calls that are not idempotent', async () => {
+            const operation = jest.fn().mockRejectedValue(apiError(503));
+            await expect(policy.execute(operation, undefined, false)).rejects.toThrow('API Error 503');
+            expect(operation).toHaveBeenCalledTimes(1);
+        });
+        
+        test('Gives up after maxRetries', async () => {
+            const operation = jest.fn().mockRejectedValue(apiError(500));
+            await expect(policy.execute(operation)).rejects.toThrow('API Error 500');
+            expect(operation).toHaveBeenCalledTimes(4);
+        });
+        
+        test('Does not retry other errors', async () => {
+            const operation = jest.fn().mockRejectedValue(apiError(403));
+            await expect(policy.execute(operation)).rejects.toThrow('API Error 403');
+            expect(operation).toHaveBeenCalledTimes(1);
+        });
+        
+        test('Stops when the next delay would pass the deadline', async () => {
+            policy = new RetryPolicy({ maxRetries: 5, deadline: 1000 });
+            jest.spyOn(policy, 'sleep').mockResolvedValue();
+            const operation = jest.fn().mockRejectedValue(apiError(429, 5000));
+            
+            await expect(policy.execute(operation)).rejects.toThrow('API Error 429');
+            expect(operation).toHaveBeenCalledTimes(1);
+        });
+        
+        test('Waits for the computed delay', async () => {
+            const operation = jest.fn()
+                .mockRejectedValueOnce(apiError(429, 250))
+                .mockResolvedValue('ok');
+            await policy.execute(operation);
+            expect(policy.sleep).toHaveBeenCalledWith(250);
+        });
+    });
+    
+    describe('getDelay', () => {
+        test('Honours Retry-After', () => {
+            expect(policy.getDelay(0, apiError(429, 7000))).toBe(7000);
+        });
+        
+        test('Uses exponential backoff with jitter', () => {
+            jest.spyOn(Math, 'random').mockReturnValue(0);
+            expect(policy.getDelay(0, apiError(500))).toBe(50);
+            expect(policy.getDelay(2, apiError(500))).toBe(200);
+            Math.random.mockReturnValue(1);
+            expect(policy.getDelay(2, apiError(500))).toBe(400);
+        });
+        
+        test('Caps backoff at maxDelay', () => {
+            jest.spyOn(Math, 'random').mockReturnValue(1);
+            expect(policy.getDelay(20)).toBe(32000);
+        });
+    });
+    
+    describe('sleep', () => {
+        test('Resolves after the delay', async () => {
+            jest.restoreAllMocks();
+            jest.useFakeTimers();
+            const done = jest.fn();
+            const promise = new RetryPolicy().sleep(100).then(done);
+            jest.advanceTimersByTime(100);
+            await promise;
+            expect(done).toHaveBeenCalled();
+            jest.useRealTimers();
+        });
+    });
+    
+    describe('isRetryable', () => {
+        test('Accepts rate limit and server errors', () => {
+            expect(RetryPolicy.isRetryable(apiError(429))).toBe(true);
+            expect(RetryPolicy.isRetryable(apiError(500))).toBe(true);
+            expect(RetryPolicy.isRetryable(apiError(599))).toBe(true);
+        });
+        
+        test('Reads numeric error codes', () => {
+            const err = new Error('quota');
+            err.code = 429;
+            expect(RetryPolicy.isRetryable(err)).toBe(true);
+        });
+        
+        test('Only accepts rate limit errors for calls that are not idempotent', () => {
+            expect(RetryPolicy.isRetryable(apiError(429), false)).toBe(true);
+            expect(RetryPolicy.isRetryable(apiError(503), false)).toBe(false);
+        });
+        
+        test('Rejects client errors and missing errors', () => {
+            expect(RetryPolicy.isRetryable(apiError(400))).toBe(false);
+            expect(RetryPolicy.isRetryable(apiError(600))).toBe(false);
+            expect(RetryPolicy.isRetryable(new Error('network'))).toBe(false);
+            expect(RetryPolicy.isRetryable(null)).toBe(false);
+        });
+    });
+    
+    describe('parseRetryAfter', () => {
+        test('Parses seconds', () => {
+            expect(RetryPolicy.parseRetryAfter('30')).toBe(30000);
+            expect(RetryPolicy.parseRetryAfter(2)).toBe(2000);
+        });
+        
+        test('Parses HTTP dates', () => {
+            jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'));
+            expect(RetryPolicy.parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT')).toBe(10000);
+        });
+        
+        test('Returns undefined for missing or invalid values', () => {
+            expect(RetryPolicy.parseRetryAfter(undefined)).toBeUndefined();
+            expect(RetryPolicy.parseRetryAfter(null)).toBeUndefined();
+            expect(RetryPolicy.parseRetryAfter('')).toBeUndefined();
+            expect(RetryPolicy.parseRetryAfter('soon')).toBeUndefined();
+        });
+        
+        test('Never returns negative delays', () => {
+            expect(RetryPolicy.parseRetryAfter('-5')).toBe(0);
+        });
+    });
+});
@@ -234,6 +234,304 @@ describe('lib/validators.js', () => {
             const result = validators.validateRange('Data!A1:Z100');
             expect(result).toEqual({ valid: true, error: null });
         });
+        
+        test('TC6.33: Accepts lower case and open ended ranges', () => {
+            expect(validators.validateRange('Sheet1!a1:c10').valid).toBe(true);
+            expect(validators.validateRange('Sheet1!A2:D').valid).toBe(true);
+            expect(validators.validateRange('Sheet1!A2:2').valid).toBe(true);
+        });
+        
+        test('TC6.34: Accepts quoted sheet names with escaped quotes and "!"', () => {
+            expect(validators.validateRange("'Bob''s list'!A1:B2").valid).toBe(true);
+            expect(validators.validateRange("'Q1!Sales'!A:D").valid).toBe(true);
+            expect(validators.validateRange("'My Sheet'").valid).toBe(true);
+        });
+        
+        test('TC6.35: Rejects incomplete or out of range cell references', () => {
+            expect(validators.validateRange('Sheet1!A1:').error).toContain('Invalid cell range');
+            expect(validators.validateRange('Sheet1!A0').error).toContain('Invalid cell range');
+            expect(validators.validateRange("''!A1").error).toBe('Sheet name cannot be empty');
+        });
+        
+        test('TC6.36: Accepts header name references', () => {
+            expect(validators.validateRange('Sheet1!{Email}').valid).toBe(true);
+            expect(validators.validateRange("'My Sheet'!{First name}2:{Email}").valid).toBe(true);
+            expect(validators.validateRange('Sheet1!{Email}-1').error).toContain('Invalid cell range');
+        });
+    });
+    
+    // =================================================================
+    // validateRanges Tests
+    // =================================================================
+    
+    describe('validateRanges', () => {
+        
+        test('TC6.18: Returns error when ranges is not an array or object', () => {
+            expect(validators.validateRanges(undefined).valid).toBe(false);
+            expect(validators.validateRanges('Sheet1!A1').valid).toBe(false);
+        });
+        
+        test('TC6.19: Returns error for an empty list', () => {
+            expect(validators.validateRanges([]).error).toContain('At least one range');
+            expect(validators.validateRanges({}).error).toContain('At least one range');
+        });
+        
+        test('TC6.20: Names the invalid range', () => {
+            const result = validators.validateRanges({ totals: 'Sheet1!A1', broken: 'Sheet1!!A1' });
+            expect(result.valid).toBe(false);
+            expect(result.error).toMatch(/^Range "broken": /);
+        });
+        
+        test('TC6.21: Accepts an array or a map of valid ranges', () => {
+            expect(validators.validateRanges(['Sheet1!A1:B2', 'Sheet2'])).toEqual({ valid: true, error: null });
+            expect(validators.validateRanges({ a: 'Sheet1!A1:B2', b: 'Sheet2' })).toEqual({ valid: true, error: null });
+        });
+    });
+    
+    // =================================================================
+    // validateBatchData Tests
+    // =================================================================
+    
+    describe('validateBatchData', () => {
+        
+        test('TC6.22: Returns error when input is not a non-empty array', () => {
+            expect(validators.validateBatchData({ range: 'Sheet1!A1', values: [[1]] }).valid).toBe(false);
+            expect(validators.validateBatchData([]).error).toContain('non-empty array');
+        });
+        
+        test('TC6.23: Names the entry with an invalid range or missing values', () => {
+            expect(validators.validateBatchData([null]).error).toMatch(/^Entry 0: /);
+            expect(validators.validateBatchData([{ range: 'Sheet1!A1', values: [[1]] }, { values: [[2]] }]).error)
+                .toBe('Entry 1: Range is required (at minimum, provide sheet name)');
+            expect(validators.validateBatchData([{ range: 'Sheet1!A1' }]).error)
+                .toBe('Entry 0: values or objects are required');
+        });
+        
+        test('TC6.24: Accepts values or objects entries', () => {
+            const result = validators.validateBatchData([
+                { range: 'Sheet1!A1', values: [[1, 2]] },
+                { range: 'Sheet2!A2', objects: [{ sku: 'A', qty: 3 }] }
+            ]);
+            expect(result).toEqual({ valid: true, error: null });
+        });
+    });
+    
+    // =================================================================
+    // validateQuery Tests
+    // =================================================================
+    
+    describe('validateQuery', () => {
+        
+        test('TC6.25: Accepts a full query', () => {
+            const result = validators.validateQuery({
+                where: { status: 'open', qty: { gt: 5, lte: 10 }, or: [{ name: { contains: 'a' } }, { name: null }] },
+                sort: ['-qty', 'name'],
+                limit: 10,
+                offset: 0
+            });
+            expect(result).toEqual({ valid: true, error: null });
+        });
+        
+        test('TC6.26: Rejects non-objects and unknown properties', () => {
+            expect(validators.validateQuery('status=open').valid).toBe(false);
+            expect(validators.validateQuery([]).valid).toBe(false);
+            expect(validators.validateQuery({ filter: {} }).error).toBe('Unknown query property "filter"');
+        });
+        
+        test('TC6.27: Rejects unknown operators and malformed AND/OR', () => {
+            expect(validators.validateQuery({ where: { qty: { greater: 5 } } }).error).toContain('Unknown query operator "greater" for column "qty"');
+            expect(validators.validateQuery({ where: { qty: {} } }).valid).toBe(false);
+            expect(validators.validateQuery({ where: { or: {} } }).error).toBe('Query "or" must be a non-empty array of conditions');
+            expect(validators.validateQuery({ where: { and: [{ qty: { foo: 1 } }] } }).valid).toBe(false);
+            expect(validators.validateQuery({ where: 'qty > 5' }).valid).toBe(false);
+        });
+        
+        test('TC6.28: Rejects bad sort, limit and offset', () => {
+            expect(validators.validateQuery({ sort: [] }).valid).toBe(false);
+            expect(validators.validateQuery({ sort: '-' }).valid).toBe(false);
+            expect(validators.validateQuery({ sort: [1] }).valid).toBe(false);
+            expect(validators.validateQuery({ limit: -1 }).error).toBe('Query limit must be a non-negative integer');
+            expect(validators.validateQuery({ offset: 1.5 }).error).toBe('Query offset must be a non-negative integer');
+        });
+    });
+    
+    describe('validateRenderOptions', () => {
+        
+        test('TC6.29: Accepts known options and missing options', () => {
+            expect(validators.validateRenderOptions({})).toEqual({ valid: true, error: null });
+            expect(validators.validateRenderOptions({ valueRenderOption: 'UNFORMATTED_VALUE', dateTimeRenderOption: 'SERIAL_NUMBER' }).valid).toBe(true);
+            expect(validators.validateRenderOptions({ valueRenderOption: 'FORMULA', dateTimeRenderOption: 'FORMATTED_STRING' }).valid).toBe(true);
+        });
+        
+        test('TC6.30: Rejects unknown options', () => {
+            expect(validators.validateRenderOptions({ valueRenderOption: 'RAW' }).error)
+                .toBe('Invalid value render option "RAW". Use one of: FORMATTED_VALUE, UNFORMATTED_VALUE, FORMULA');
+            expect(validators.validateRenderOptions({ dateTimeRenderOption: 'ISO' }).error)
+                .toBe('Invalid date/time render option "ISO". Use one of: SERIAL_NUMBER, FORMATTED_STRING');
+        });
+    });
+    
+    describe('validateWriteOptions', () => {
+        
+        test('TC6.31: Accepts known options and missing options', () => {
+            expect(validators.validateWriteOptions({})).toEqual({ valid: true, error: null });
+            expect(validators.validateWriteOptions({ valueInputOption: 'RAW', insertDataOption: 'INSERT_ROWS' }).valid).toBe(true);
+            expect(validators.validateWriteOptions({ valueInputOption: 'USER_ENTERED', insertDataOption: 'OVERWRITE' }).valid).toBe(true);
+        });
+        
+        test('TC6.32: Rejects unknown options', () => {
+            expect(validators.validateWriteOptions({ valueInputOption: 'FORMULA' }).error)
+                .toBe('Invalid value input option "FORMULA". Use one of: RAW, USER_ENTERED');
+            expect(validators.validateWriteOptions({ insertDataOption: 'APPEND' }).error)
+                .toBe('Invalid insert data option "APPEND". Use one of: OVERWRITE, INSERT_ROWS');
+        });
+        
+        test('TC6.51: Checks where rows are inserted and which row they copy', () => {
+            expect(validators.validateWriteOptions({ insertRow: 2, copyFrom: 'above' }).valid).toBe(true);
+            expect(validators.validateWriteOptions({ insertRow: 1, copyFrom: 'below' }).valid).toBe(true);
+            expect(validators.validateWriteOptions({ insertRow: 0 }).error).toBe('Insert row must be a whole number from 1');
+            expect(validators.validateWriteOptions({ insertRow: 2.5 }).error).toBe('Insert row must be a whole number from 1');
+            expect(validators.validateWriteOptions({ insertRow: 2, copyFrom: 'left' }).error)
+                .toBe('Invalid copy from option "left". Use one of: above, below');
+            expect(validators.validateWriteOptions({ insertRow: 1, copyFrom: 'above' }).error).toBe('Rows inserted at row 1 have no row above to copy');
+        });
+    });
+    
+    describe('validateSchema', () => {
+        
+        test('TC6.37: Accepts types and column specs', () => {
+            expect(validators.validateSchema({ name: 'string', qty: { type: 'integer', required: true }, active: { type: 'boolean', default: false } }))
+                .toEqual({ valid: true, error: null });
+        });
+        
+        test('TC6.38: Rejects schemas that are not objects or arrays of columns', () => {
+            expect(validators.validateSchema(null).error).toBe('Schema must be an object of column name: type, or an array of columns');
+            expect(validators.validateSchema({}).valid).toBe(false);
+            expect(validators.validateSchema([]).valid).toBe(false);
+            expect(validators.validateSchema({ qty: 5 }).error).toContain('must be a type or an object');
+        });
+        
+        test('TC6.39: Rejects unknown types and properties', () => {
+            expect(validators.validateSchema({ qty: 'float' }).error)
+                .toBe('Invalid type "float" for column "qty". Use one of: string, number, integer, boolean, date, json');
+            expect(validators.validateSchema({ qty: { type: 'number', min: 0 } }).error).toBe('Unknown schema property "min" for column "qty"');
+            expect(validators.validateSchema({ qty: { type: 'number', required: 'yes' } }).error).toContain('must be true or false');
+        });
+        
+        test('TC6.40: Accepts ordered column arrays with constraints', () => {
+            expect(validators.validateSchema(['name', { name: 'email', type: 'string', required: true, maxLength: 80, pattern: '@' }, { name: 'status', enum: ['open', 'done'] }]))
+                .toEqual({ valid: true, error: null });
+            expect(validators.validateSchema([{ type: 'string' }]).error).toBe('Schema columns in an array need a name');
+            expect(validators.validateSchema({ name: { type: 'string', name: 'x' } }).error).toBe('Unknown schema property "name" for column "name"');
+        });
+        
+        test('TC6.41: Rejects invalid constraints', () => {
+            expect(validators.validateSchema({ email: { maxLength: -1 } }).error).toContain('maxLength for column "email" must be a non-negative integer');
+            expect(validators.validateSchema({ status: { enum: [] } }).error).toContain('enum for column "status" must be a non-empty array');
+            expect(validators.validateSchema({ email: { pattern: '(' } }).error).toBe('Schema pattern for column "email" is not a valid regular expression');
+        });
+        
+        test('TC6.42: Accepts tab operations', () => {
+            expect(validators.validateSheetOperations([
+                { op: 'add', title: '2026-11', index: 0, rowCount: 100, frozenRowCount: 1, hidden: false },
+                { op: 'duplicate', sheet: 'Template', title: 'Copy' },
+                { op: 'rename', sheet: 0, title: 'Main' },
+                { op: 'delete', sheet: 'Old' },
+                { op: 'hide', sheet: 'Raw' },
+                { op: 'move', sheet: 'Main', index: 2 },
+                { op: 'freeze', sheet: 'Main', frozenColumnCount: 0 }
+            ])).toEqual({ valid: true, error: null });
+        });
+        
+        test('TC6.43: Rejects invalid tab operations', () => {
+            expect(validators.validateSheetOperations([]).valid).toBe(false);
+            expect(validators.validateSheetOperations([undefined]).error).toBe('Entry 0: must be a tab name or an object');
+            expect(validators.validateSheetOperations([{ op: 'list' }]).error)
+                .toBe('Entry 0: invalid operation "list". Use one of: add, duplicate, copy, rename, delete, hide, show, move, freeze');
+            expect(validators.validateSheetOperations([{ op: 'delete', sheet: -1 }]).error).toBe('Entry 0: sheet must be a tab name or a sheetId');
+            expect(validators.validateSheetOperations([{ op: 'add', title: ' ' }]).error).toBe('Entry 0: title is required to add a tab');
+            expect(validators.validateSheetOperations([{ op: 'move', sheet: 'A' }]).error).toBe('Entry 0: index is required to move a tab');
+            expect(validators.validateSheetOperations([{ op: 'freeze', sheet: 'A' }]).error).toContain('frozenRowCount or frozenColumnCount is required');
+            expect(validators.validateSheetOperations([{ op: 'move', sheet: 'A', index: 1.5 }]).error).toBe('Entry 0: index must be a non-negative integer');
+            expect(validators.validateSheetOperations([{ op: 'add', title: 'A', rowCount: 0 }]).error).toBe('Entry 0: rowCount must be a positive integer');
+            expect(validators.validateSheetOperations([{ op: 'add', title: 'A', hidden: 'yes' }]).error).toBe('Entry 0: hidden must be true or false');
+        });
+        
+        test('TC6.44: Copies tabs from a template spreadsheet', () => {
+            const from = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms';
+            expect(validators.validateSheetOperations([{ op: 'copy', from, sheet: 'Report' }]).valid).toBe(true);
+            expect(validators.validateSheetOperations([{ op: 'copy', from, sheet: 3, title: 'ACME', index: 0 }]).valid).toBe(true);
+            expect(validators.validateSheetOperations([{ op: 'copy', sheet: 'Report' }]).error).toBe('Entry 0: from must be the ID of the template spreadsheet');
+            expect(validators.validateSheetOperations([{ op: 'copy', from, sheet: 'Report', title: '' }]).error).toBe('Entry 0: title must be a non-empty string');
+        });
+        
+        test('TC6.45: Accepts spreadsheets to create', () => {
+            expect(validators.validateNewSpreadsheet({ title: 'Report' })).toEqual({ valid: true, error: null });
+            expect(validators.validateNewSpreadsheet({
+                title: 'Report', locale: 'en_GB', timeZone: 'Europe/London',
+                sheets: ['Summary', { title: 'Orders', headers: ['id', 'qty'], frozenRowCount: 1, columnCount: 5 }]
+            }).valid).toBe(true);
+        });
+        
+        test('TC6.46: Rejects invalid spreadsheets to create', () => {
+            expect(validators.validateNewSpreadsheet(undefined).error).toBe('Input must be a title or an object with title and sheets');
+            expect(validators.validateNewSpreadsheet({ title: ' ' }).error).toBe('Spreadsheet title is required');
+            expect(validators.validateNewSpreadsheet({ title: 'R', locale: 1 }).error).toBe('locale must be a string');
+            expect(validators.validateNewSpreadsheet({ title: 'R', sheets: 'Orders' }).error).toContain('Sheets must be an array');
+            expect(validators.validateNewSpreadsheet({ title: 'R', sheets: [{ headers: [] }] }).error).toBe('Sheet 0: title is required');
+            expect(validators.validateNewSpreadsheet({ title: 'R', sheets: ['A', { title: 'A' }] }).error).toBe('Sheet 1: duplicate title "A"');
+            expect(validators.validateNewSpreadsheet({ title: 'R', sheets: [{ title: 'A', headers: 'id' }] }).error).toBe('Sheet 0: headers must be an array of column names');
+            expect(validators.validateNewSpreadsheet({ title: 'R', sheets: [{ title: 'A', frozenRowCount: -1 }] }).error).toBe('Sheet 0: frozenRowCount must be a non-negative integer');
+        });
+        
+        test('TC6.47: Accepts named ranges in place of a range', () => {
+            expect(validators.validateRange('Totals')).toEqual({ valid: true, error: null });
+            expect(validators.validateRange('Q1_Totals')).toEqual({ valid: true, error: null });
+            expect(validators.validateRanges({ rates: '_Rates', orders: 'Orders!A:D' }).valid).toBe(true);
+            expect(validators.validateBatchData([{ range: 'Totals', values: [[1]] }]).valid).toBe(true);
+        });
+        
+        test('TC6.48: Accepts format blocks', () => {
+            expect(validators.validateFormat({
+                all: { wrap: 'clip', align: 'left', verticalAlign: 'middle' },
+                columns: { C: { numberFormat: 'CURRENCY' }, d: { numberFormat: { type: 'DATE', pattern: 'yyyy-mm-dd' } } },
+                cells: { '1:1': { bold: true, italic: false, background: '#eee', color: '#CC0000', wrap: true } },
+                conditional: [
+                    { range: 'Jobs!D2:D', when: 'TEXT_EQ', value: 'failed', format: { background: '#f4cccc' } },
+                    { range: 'C2:C', when: 'NUMBER_BETWEEN', values: [0, 10], format: { bold: true } },
+                    { range: 'E:E', when: 'BLANK', format: { italic: true } },
+                    { range: 'A2:D', formula: '=$D2="running"', format: { color: '#999' } }
+                ]
+            })).toEqual({ valid: true, error: null });
+        });
+        
+        test('TC6.49: Rejects invalid format blocks', () => {
+            expect(validators.validateFormat([]).error).toBe('Format must be an object with all, columns, cells or conditional');
+            expect(validators.validateFormat({ rows: {} }).error).toBe('Unknown format section "rows". Use: all, columns, cells, conditional');
+            expect(validators.validateFormat({ all: { size: 10 } }).error).toContain('Format all: unknown format property "size"');
+            expect(validators.validateFormat({ all: 'bold' }).error).toBe('Format all: format must be an object');
+            expect(validators.validateFormat({ columns: [] }).error).toBe('Format columns must be an object of column letter: format');
+            expect(validators.validateFormat({ columns: { C1: { bold: true } } }).error).toBe('Format columns "C1": invalid column letter');
+            expect(validators.validateFormat({ cells: { '!A1': { bold: true } } }).error).toBe('Format cells "!A1": invalid range');
+            expect(validators.validateFormat({ cells: { A1: { bold: 'yes' } } }).error).toBe('Format cells "A1": bold must be true or false');
+            expect(validators.validateFormat({ cells: { A1: { background: 'red' } } }).error).toBe('Format cells "A1": background must be a hex color such as "#f4cccc"');
+            expect(validators.validateFormat({ cells: { A1: { align: 'middle' } } }).error).toBe('Format cells "A1": align must be one of: left, center, right');
+            expect(validators.validateFormat({ cells: { A1: { wrap: 'yes' } } }).error).toBe('Format cells "A1": wrap must be true, false or "clip"');
+            expect(validators.validateFormat({ cells: { A1: { numberFormat: { type: 'MONEY' } } } }).error).toContain('numberFormat must be a pattern');
+            expect(validators.validateFormat({ cells: { A1: { numberFormat: '' } } }).error).toContain('numberFormat must be a pattern');
+        });
+        
+        test('TC6.50: Rejects invalid conditional format rules', () => {
+            const format = { background: '#f4cccc' };
+            expect(validators.validateFormat({ conditional: {} }).error).toBe('Format conditional must be an array of rules');
+            expect(validators.validateFormat({ conditional: [{ when: 'BLANK', format }] }).error).toBe('Rule 0: a valid range is required');
+            expect(validators.validateFormat({ conditional: [{ range: 'A:A', formula: 'A1>0', format }] }).error).toBe('Rule 0: formula must start with "="');
+            expect(validators.validateFormat({ conditional: [{ range: 'A:A', when: 'EQUALS', format }] }).error).toContain('Rule 0: when must be one of: NUMBER_GREATER');
+            expect(validators.validateFormat({ conditional: [{ range: 'A:A', when: 'NUMBER_BETWEEN', value: 1, format }] }).error).toBe('Rule 0: NUMBER_BETWEEN takes 2 value(s)');
+            expect(validators.validateFormat({ conditional: [{ range: 'A:A', when: 'TEXT_EQ', values: 'x', format }] }).error).toBe('Rule 0: TEXT_EQ takes 1 value(s)');
+            expect(validators.validateFormat({ conditional: [{ range: 'A:A', when: 'BLANK', format: { numberFormat: 'TEXT' } }] }).error)
+                .toBe('Rule 0: unknown format property "numberFormat". Use: bold, italic, color, background');
+        });
     });
     
     // =================================================================
@@ -424,6 +722,104 @@ describe('lib/validators.js', () => {
             expect(typeof result.valid).toBe('boolean');
             expect(Array.isArray(result.errors)).toBe(true);
         });
+        
+        // Action: 'set' with method 'cell'
+        test('TC7.18: Returns errors when set cell method is missing labels', () => {
+            const result = validators.validateRequiredFields({
+                action: 'set',
+                method: 'cell',
+                spreadsheetId: 'abc123',
+                range: 'A1:B10',
+                data: 42
+            });
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('Line/row label is required for cell operation');
+            expect(result.errors).toContain('Column label is required for cell operation');
+        });
+        
+        test('TC7.19: Returns valid for set cell method with labels', () => {
+            const result = validators.validateRequiredFields({
+                action: 'set',
+                method: 'cell',
+                spreadsheetId: 'abc123',
+                range: 'A1:B10',
+                data: 42,
+                cell_l: 'Row1',
+                cell_c: 'Column1'
+            });
+            expect(result.valid).toBe(true);
+        });
+        
+        test('TC7.20: Requires ranges instead of range for multi action', () => {
+            const missing = validators.validateRequiredFields({
+                action: 'multi',
+                spreadsheetId: 'abc123'
+            });
+            expect(missing.errors).toEqual(['Ranges are required for multi-range reads']);
+            
+            const result = validators.validateRequiredFields({
+                action: 'multi',
+                spreadsheetId: 'abc123',
+                ranges: ['Sheet1!A1:B2']
+            });
+            expect(result.valid).toBe(true);
+        });
+        
+        test('TC7.21: Does not require range for set multiple method', () => {
+            const result = validators.validateRequiredFields({
+                action: 'set',
+                method: 'multi',
+                spreadsheetId: 'abc123',
+                data: [{ range: 'Sheet1!A1', values: [[1]] }]
+            });
+            expect(result.valid).toBe(true);
+        });
+        
+        test('TC7.22: Requires key columns for upsert', () => {
+            const params = { action: 'set', method: 'upsert', spreadsheetId: 'abc123', range: 'Sheet1', data: [{ id: 1 }] };
+            expect(validators.validateRequiredFields(params).errors).toEqual(['Key columns are required for upsert']);
+            expect(validators.validateRequiredFields({ ...params, keys: [] }).valid).toBe(false);
+            expect(validators.validateRequiredFields({ ...params, keys: ['id'] }).valid).toBe(true);
+        });
+        
+        test('TC7.23: Requires a key, keys or filter for delete action', () => {
+            const params = { action: 'delete', spreadsheetId: 'abc123', range: 'Sheet1' };
+            expect(validators.validateRequiredFields(params).errors).toEqual(['A key, list of keys or filter is required to delete rows']);
+            expect(validators.validateRequiredFields({ ...params, data: '' }).valid).toBe(false);
+            expect(validators.validateRequiredFields({ ...params, data: 0 }).valid).toBe(true);
+            expect(validators.validateRequiredFields({ ...params, data: { status: 'done' } }).valid).toBe(true);
+        });
+        
+        test('TC7.24: Requires a query string for gviz action', () => {
+            const params = { action: 'gviz', spreadsheetId: 'abc123', range: 'Sheet1' };
+            expect(validators.validateRequiredFields(params).errors).toEqual(['Query (tq) is required for gviz reads']);
+            expect(validators.validateRequiredFields({ ...params, tq: '  ' }).valid).toBe(false);
+            expect(validators.validateRequiredFields({ ...params, tq: 'select A' }).valid).toBe(true);
+        });
+        
+        test('TC7.25: Does not require a range for tab operations', () => {
+            expect(validators.validateRequiredFields({ action: 'sheets', spreadsheetId: 'abc123' })).toEqual({ valid: true, errors: [] });
+        });
+        
+        test('TC7.26: Requires neither a spreadsheet ID nor a range to create a spreadsheet', () => {
+            expect(validators.validateRequiredFields({ action: 'create' })).toEqual({ valid: true, errors: [] });
+        });
+        
+        test('TC7.27: Does not require a range to read spreadsheet metadata', () => {
+            expect(validators.validateRequiredFields({ action: 'metadata', spreadsheetId: 'abc123' })).toEqual({ valid: true, errors: [] });
+            expect(validators.validateRequiredFields({ action: 'metadata' }).errors).toEqual(['Spreadsheet ID is required']);
+        });
+        
+        test('TC7.28: Only matches sheet headers for append, update and insert writes', () => {
+            const params = { action: 'set', spreadsheetId: 'abc123', range: 'Sheet1!A:D', data: [{ id: 1 }], fields: 'header' };
+            expect(validators.validateRequiredFields(params).valid).toBe(true);
+            expect(validators.validateRequiredFields({ ...params, method: 'update' }).valid).toBe(true);
+            expect(validators.validateRequiredFields({ ...params, method: 'insert' }).valid).toBe(true);
+            expect(validators.validateRequiredFields({ ...params, method: 'new' }).errors)
+                .toEqual(['Match sheet headers only works with Append, Update and Insert at row']);
+            expect(validators.validateRequiredFields({ ...params, method: 'multi', range: undefined }).valid).toBe(false);
+            expect(validators.validateRequiredFields({ ...params, method: 'new', fields: 'all' }).valid).toBe(true);
+        });
     });
     
     // =================================================================